@@ -22,6 +22,9 @@ const CLUSTER_CONFIG = {
 // Worker restart tracking
 const workerRestarts = new Map();
 
+// Worker elected to run background jobs; exactly one per cluster
+let jobWorkerId = null;
+
 // Initialize clustering
 function initializeCluster() {
   if (!CLUSTER_CONFIG.enableClustering) {
@@ -41,6 +44,7 @@ function initializeCluster() {
     // Handle worker events
     cluster.on('exit', handleWorkerExit);
     cluster.on('online', handleWorkerOnline);
+    cluster.on('listening', electJobWorker);
     cluster.on('disconnect', handleWorkerDisconnect);
     
     // Handle graceful shutdown
@@ -76,6 +80,12 @@ function handleWorkerExit(worker, code, signal) {
   console.log(`👷 Worker ${worker.process.pid} died (code: ${code}, signal: ${signal})`);
   console.log(`📊 Worker ${worker.id} had ${restarts} restart attempts`);
   
+  // Hand background jobs to another worker
+  if (worker.id === jobWorkerId) {
+    jobWorkerId = null;
+    electJobWorker();
+  }
+  
   if (restarts < CLUSTER_CONFIG.maxRestarts) {
     console.log(`🔄 Restarting worker ${worker.id} in ${CLUSTER_CONFIG.restartDelay}ms`);
     
@@ -101,6 +111,42 @@ function handleWorkerDisconnect(worker) {
   console.log(`🔌 Worker ${worker.process.pid} disconnected`);
 }
 
+// Elect a live worker to run background jobs unless one already does. Runs once
+// workers are listening, when their message handlers are registered.
+function electJobWorker() {
+  const current = jobWorkerId && cluster.workers[jobWorkerId];
+  if (current && !current.isDead()) {
+    return;
+  }
+
+  const candidate = Object.values(cluster.workers).find(worker => !worker.isDead() && worker.isConnected());
+  if (!candidate) {
+    jobWorkerId = null;
+    return;
+  }
+
+  jobWorkerId = candidate.id;
+  candidate.send({ type: 'run-background-jobs' });
+  console.log(`🗳️ Worker ${candidate.process.pid} elected to run background jobs`);
+}
+
+// Call `start` in the process that runs background jobs: this process in single
+// process mode, or the worker the master elects when clustering
+function onBackgroundJobsElected(start) {
+  if (!CLUSTER_CONFIG.enableClustering) {
+    start();
+    return;
+  }
+
+  if (cluster.isWorker) {
+    process.on('message', (message) => {
+      if (message && message.type === 'run-background-jobs') {
+        start();
+      }
+    });
+  }
+}
+
 // Restart a specific worker
 function restartWorker(worker) {
   console.log(`🔄 Restarting worker ${worker.id}`);
@@ -181,6 +227,7 @@ function getClusterStats() {
       isDead: worker.isDead(),
       restarts: workerRestarts.get(worker.id) || 0
     })),
+    jobWorkerId,
     config: CLUSTER_CONFIG
   };
 }
@@ -189,5 +236,6 @@ module.exports = {
   initializeCluster,
   healthCheck,
   getClusterStats,
+  onBackgroundJobsElected,
   CLUSTER_CONFIG
 };
@@ -0,0 +1,190 @@
+// Locale configuration
+//
+// Survey content is authored in the default locale (English). Other locales are
+// provided as translations on the survey definition and on catalogue entries;
+// missing translations fall back to the default locale. Stored answers are
+// always option codes, whatever locale the respondent used.
+
+const DEFAULT_LOCALE = 'en';
+
+const SUPPORTED_LOCALES = ['en', 'ur'];
+
+// Right-to-left locales, so clients can set the text direction
+const RTL_LOCALES = ['ur'];
+
+// Translations of the default survey definition, keyed by locale. Options of
+// catalogue-backed questions are translated on their catalogue entries instead.
+const DEFAULT_TRANSLATIONS = {
+  ur: {
+    pages: {
+      'introduction': 'خوش آمدید',
+      'basic-information': 'بنیادی معلومات',
+      'social-media': 'سوشل میڈیا کی عادات',
+      'phone-usage': 'موبائل فون کا استعمال',
+      'skills-work': 'مہارتیں اور کام',
+      'phone-preferences': 'نئے فون میں سب سے اہم کیا ہے',
+      'ambassador': 'ٹیکنو کیمپس برانڈ ایمبیسیڈر پروگرام',
+      'suggestions': 'تجاویز'
+    },
+    questions: {
+      gender: {
+        label: 'جنس',
+        options: { 'male': 'مرد', 'female': 'عورت', 'prefer-not-to-say': 'بتانا نہیں چاہتے' }
+      },
+      yearOfStudy: {
+        label: 'تعلیمی سال',
+        options: {
+          'first-year': 'پہلا سال',
+          'second-year': 'دوسرا سال',
+          'third-year': 'تیسرا سال',
+          'fourth-year': 'چوتھا سال',
+          'post-graduate': 'پوسٹ گریجویٹ'
+        }
+      },
+      fieldOfStudy: { label: 'شعبۂ تعلیم' },
+      university: { label: 'یونیورسٹی' },
+      socialMediaPlatforms: {
+        label: 'آپ کون سے سوشل میڈیا پلیٹ فارم استعمال کرتے ہیں؟',
+        options: { 'other': 'دیگر' }
+      },
+      timeSpentOnSocialMedia: {
+        label: 'آپ روزانہ سوشل میڈیا پر کتنا وقت گزارتے ہیں؟',
+        options: {
+          '0-1-hour': '0 سے 1 گھنٹہ',
+          '2-3-hours': '2 سے 3 گھنٹے',
+          '4-5-hours': '4 سے 5 گھنٹے',
+          '6-plus-hours': '6 گھنٹے سے زیادہ'
+        }
+      },
+      followsTechContent: {
+        label: 'آپ کتنی بار ٹیک مواد دیکھتے ہیں؟',
+        options: { 'often': 'اکثر', 'sometimes': 'کبھی کبھار', 'rarely': 'شاذ و نادر', 'never': 'کبھی نہیں' }
+      },
+      techUpdateSources: { label: 'آپ ٹیک کی خبریں کہاں سے حاصل کرتے ہیں؟' },
+      currentPhoneBrand: { label: 'آپ اس وقت کس برانڈ کا فون استعمال کرتے ہیں؟' },
+      topPhoneFunctions: {
+        label: 'آپ اپنا فون سب سے زیادہ کس کام کے لیے استعمال کرتے ہیں؟',
+        options: {
+          'camera-video': 'کیمرہ اور ویڈیو',
+          'gaming': 'گیمنگ',
+          'communication': 'رابطہ',
+          'study-work': 'پڑھائی اور کام',
+          'social-media': 'سوشل میڈیا',
+          'watching-videos': 'ویڈیوز دیکھنا',
+          'other': 'دیگر'
+        }
+      },
+      phoneChangeFrequency: {
+        label: 'آپ کتنے عرصے بعد اپنا فون بدلتے ہیں؟',
+        options: {
+          'less-than-1-year': 'ایک سال سے کم',
+          '1-2-years': '1 سے 2 سال',
+          '2-3-years': '2 سے 3 سال',
+          'more-than-3-years': '3 سال سے زیادہ'
+        }
+      },
+      tecnoExperience: {
+        label: 'کیا آپ نے ٹیکنو فون استعمال کیا ہے؟',
+        options: {
+          'yes-used': 'جی ہاں، استعمال کیا ہے',
+          'heard-of': 'ٹیکنو کے بارے میں سنا ہے',
+          'never-heard': 'ٹیکنو کے بارے میں کبھی نہیں سنا'
+        }
+      },
+      tecnoExperienceRating: { label: 'آپ اپنے ٹیکنو تجربے کو کیسا درجہ دیں گے؟' },
+      learningSkills: { label: 'آپ کون سی مہارتیں سیکھ رہے ہیں؟' },
+      partTimeWork: {
+        label: 'آپ کون سا پارٹ ٹائم کام کرتے ہیں؟',
+        options: {
+          'none': 'کوئی نہیں',
+          'freelancing-it': 'فری لانسنگ (آئی ٹی)',
+          'freelancing-design': 'فری لانسنگ (ڈیزائن)',
+          'content-creation': 'مواد کی تخلیق',
+          'video-creation': 'ویڈیو سازی',
+          'online-trading': 'آن لائن ٹریڈنگ',
+          'teaching': 'تدریس',
+          'business': 'کاروبار',
+          'food-delivery': 'فوڈ ڈیلیوری',
+          'ride-hailing': 'رائیڈ ہیلنگ',
+          'sales-marketing': 'سیلز اور مارکیٹنگ',
+          'call-center': 'کال سینٹر',
+          'other': 'دیگر'
+        }
+      },
+      phoneFeaturesRanking: {
+        label: 'نئے فون میں آپ کے لیے سب سے اہم چیزوں کی درجہ بندی کریں',
+        options: {
+          'camera': 'کیمرہ',
+          'battery': 'بیٹری لائف',
+          'performance': 'کارکردگی',
+          'display': 'ڈسپلے',
+          'storage': 'اسٹوریج',
+          'design': 'ڈیزائن',
+          'price': 'قیمت',
+          'brand': 'برانڈ'
+        }
+      },
+      phoneBudget: {
+        label: 'نئے فون کے لیے آپ کا بجٹ کیا ہے؟',
+        options: {
+          '20-30k': '20,000 سے 30,000 روپے',
+          '31-45k': '31,000 سے 45,000 روپے',
+          '46-60k': '46,000 سے 60,000 روپے',
+          '61-80k': '61,000 سے 80,000 روپے',
+          '81-100k': '81,000 سے 100,000 روپے',
+          'above-100k': '100,000 روپے سے زیادہ'
+        }
+      },
+      preferredPhoneColors: {
+        label: 'آپ فون کے کون سے رنگ پسند کرتے ہیں؟',
+        options: {
+          'black': 'سیاہ',
+          'white': 'سفید',
+          'blue': 'نیلا',
+          'red': 'سرخ',
+          'green': 'سبز',
+          'purple': 'جامنی',
+          'gold': 'سنہری',
+          'silver': 'چاندی',
+          'pink': 'گلابی',
+          'gray': 'سرمئی'
+        }
+      },
+      interestedInAmbassador: { label: 'کیا آپ ٹیکنو کیمپس برانڈ ایمبیسیڈر بننے میں دلچسپی رکھتے ہیں؟' },
+      ambassadorStrengths: {
+        label: 'کون سی خوبیاں آپ کو ایک اچھا ایمبیسیڈر بناتی ہیں؟',
+        options: {
+          'large-social-circle': 'وسیع سماجی حلقہ',
+          'content-creation': 'مواد کی تخلیق',
+          'sharing-engaging': 'شیئر کرنا اور رابطہ رکھنا',
+          'tech-interested': 'ٹیکنالوجی میں دلچسپی',
+          'campus-events': 'کیمپس تقریبات کا انعقاد',
+          'other': 'دیگر'
+        }
+      },
+      ambassadorBenefits: {
+        label: 'ایمبیسیڈر کے کون سے فوائد آپ کے لیے دلچسپ ہیں؟',
+        options: {
+          'free-trial': 'مفت فون ٹرائل',
+          'merchandise': 'تحائف',
+          'training': 'تربیت',
+          'internship': 'انٹرن شپ',
+          'certificates': 'سرٹیفکیٹس',
+          'other': 'دیگر'
+        }
+      },
+      name: { label: 'نام' },
+      contactNumber: { label: 'رابطہ نمبر' },
+      socialMediaLink: { label: 'سوشل میڈیا پروفائل کا لنک' },
+      followerCount: { label: 'فالوورز کی تعداد' },
+      suggestions: { label: 'ہمارے لیے کوئی تجویز؟' }
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  RTL_LOCALES,
+  DEFAULT_TRANSLATIONS
+};
@@ -231,6 +231,20 @@ async function redisHealthCheck() {
   }
 }
 
+// Write ARGV[1] to KEYS[1] with a TTL of ARGV[3] seconds unless the stored
+// value has a revision greater than ARGV[2]
+const SET_IF_NEWER_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local ok, decoded = pcall(cjson.decode, current)
+  if ok and type(decoded) == 'table' and tonumber(decoded.revision) and tonumber(decoded.revision) > tonumber(ARGV[2]) then
+    return 0
+  end
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', tonumber(ARGV[3]))
+return 1
+`;
+
 // Cache utility functions
 class CacheService {
   constructor() {
@@ -262,6 +276,28 @@ class CacheService {
     }
   }
 
+  // Set a value carrying a `revision` unless the cache already holds a newer
+  // revision of it. The check and the write run as one Lua script, so racing
+  // writers can never move the cached copy back to an older revision.
+  async setIfNewer(key, value, ttl) {
+    try {
+      if (!this.isConnected) {
+        console.warn('⚠️ Redis not connected, skipping cache set');
+        return false;
+      }
+
+      const result = await this.client.eval(SET_IF_NEWER_SCRIPT, {
+        keys: [this.buildKey(key)],
+        arguments: [JSON.stringify(value), String(value.revision || 0), String(ttl)]
+      });
+
+      return result === 1;
+    } catch (error) {
+      console.error('❌ Cache set error:', error);
+      return false;
+    }
+  }
+
   // Get cache value
   async get(key) {
     try {
@@ -301,6 +337,72 @@ class CacheService {
     }
   }
 
+  // Delete every key matching a glob pattern (e.g. 'analytics:*')
+  async deletePattern(pattern) {
+    try {
+      if (!this.isConnected) {
+        console.warn('⚠️ Redis not connected, skipping cache delete');
+        return 0;
+      }
+
+      let deleted = 0;
+      for await (const key of this.client.scanIterator({ MATCH: this.buildKey(pattern), COUNT: 100 })) {
+        deleted += await this.client.del(key);
+      }
+      return deleted;
+    } catch (error) {
+      console.error('❌ Cache pattern delete error:', error);
+      return 0;
+    }
+  }
+
+  // Register a cached analytics response under its scope, scored by the end of
+  // the period it covers (Infinity when open-ended), so a submission only clears
+  // the responses it can change. Responses for periods that have ended are left out.
+  async indexAnalyticsKey(cacheKey, campaignId = null, coversUntil = Infinity) {
+    try {
+      if (!this.isConnected || coversUntil <= Date.now()) {
+        return false;
+      }
+
+      const indexKey = this.buildKey(this.buildAnalyticsIndexKey(campaignId));
+      await this.client.zAdd(indexKey, { score: coversUntil, value: cacheKey });
+      await this.client.expire(indexKey, CACHE_TTL.ANALYTICS);
+      return true;
+    } catch (error) {
+      console.error('❌ Cache index error:', error);
+      return false;
+    }
+  }
+
+  // Delete the cached analytics responses a submission at `at` changes: those of
+  // the unscoped and the campaign's analytics covering a period that has not ended
+  async invalidateAnalytics(campaignId = null, at = new Date()) {
+    try {
+      if (!this.isConnected) {
+        console.warn('⚠️ Redis not connected, skipping cache delete');
+        return 0;
+      }
+
+      const scopes = campaignId ? [null, campaignId] : [null];
+      let deleted = 0;
+      for (const scope of scopes) {
+        const indexKey = this.buildKey(this.buildAnalyticsIndexKey(scope));
+        await this.client.zRemRangeByScore(indexKey, '-inf', at.getTime());
+
+        const keys = await this.client.zRange(indexKey, 0, -1);
+        if (keys.length > 0) {
+          deleted += await this.client.del(keys.map(key => this.buildKey(key)));
+          await this.client.zRem(indexKey, keys);
+        }
+      }
+      return deleted;
+    } catch (error) {
+      console.error('❌ Cache analytics invalidation error:', error);
+      return 0;
+    }
+  }
+
   // Check if key exists
   async exists(key) {
     try {
@@ -570,9 +672,20 @@ class CacheService {
     return `${CACHE_PREFIXES.SURVEY}${surveyId}`;
   }
 
-  // Build analytics cache key
-  buildAnalyticsKey(type, date) {
-    return `${CACHE_PREFIXES.ANALYTICS}${type}:${date}`;
+  // Build analytics cache key; campaign-scoped analytics get their own keys
+  // `params` are the request's query parameters in any order, e.g. { date, rows, columns }
+  buildAnalyticsKey(endpoint, params = {}, campaignId = null) {
+    const scope = campaignId ? `campaign:${campaignId}:` : '';
+    const query = Object.keys(params)
+      .sort()
+      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent([].concat(params[key]).join(','))}`)
+      .join('&');
+    return `${CACHE_PREFIXES.ANALYTICS}${scope}${endpoint}:${query}`;
+  }
+
+  // Build the key of the index of cached analytics responses of one scope
+  buildAnalyticsIndexKey(campaignId = null) {
+    return `${CACHE_PREFIXES.ANALYTICS}index:${campaignId ? `campaign:${campaignId}` : 'all'}`;
   }
 
   // Build rate limit cache key
@@ -0,0 +1,421 @@
+// Survey definition configuration
+//
+// The default question set is used to seed the SurveyDefinition collection the
+// first time the application starts. Later question sets are published through
+// the survey definition API instead of editing this file.
+//
+// Questions with a `catalogue` take their options from the CatalogueEntry
+// collection (managed through /api/catalogues); their inline options below seed
+// the catalogue the first time it is used.
+
+// Supported question types
+const QUESTION_TYPES = {
+  SINGLE_CHOICE: 'single-choice',
+  MULTI_CHOICE: 'multi-choice',
+  RANKING: 'ranking',
+  BOOLEAN: 'boolean',
+  TEXT: 'text'
+};
+
+// Question types whose answers are stored as string arrays
+const ARRAY_QUESTION_TYPES = [
+  QUESTION_TYPES.MULTI_CHOICE,
+  QUESTION_TYPES.RANKING
+];
+
+// Top-level counter sections on Analytics documents that questions may bucket into
+const ANALYTICS_SECTIONS = [
+  'demographics',
+  'phoneUsage',
+  'socialMedia',
+  'skills',
+  'preferences',
+  'ambassador',
+  'tecnoExperience',
+  'custom'
+];
+
+// Helper to build option lists from [value, label] pairs
+const options = (pairs) => pairs.map(([value, label, aliases = []]) => ({ value, label, aliases }));
+
+// The ambassador follow-up questions are only shown to interested respondents
+const INTERESTED_IN_AMBASSADOR = [{ field: 'interestedInAmbassador', operator: 'equals', value: true }];
+
+const { DEFAULT_TRANSLATIONS } = require('./locales');
+
+const DEFAULT_SURVEY_DEFINITION = {
+  version: 1,
+  name: 'Techno Tribe Campus Survey',
+  status: 'active',
+  pages: [
+    { index: 0, key: 'introduction', title: 'Welcome' },
+    { index: 1, key: 'basic-information', title: 'Basic Information' },
+    { index: 2, key: 'social-media', title: 'Social Media Habits' },
+    { index: 3, key: 'phone-usage', title: 'Mobile Phone Usage' },
+    { index: 4, key: 'skills-work', title: 'Skills & Work' },
+    { index: 5, key: 'phone-preferences', title: 'What Matters Most in a New Phone' },
+    { index: 6, key: 'ambassador', title: 'TECNO Campus Brand Ambassador Program' },
+    { index: 7, key: 'suggestions', title: 'Suggestions' }
+  ],
+  questions: [
+    // Basic Information
+    {
+      key: 'gender',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'Gender',
+      page: 1,
+      required: true,
+      options: options([
+        ['male', 'Male'],
+        ['female', 'Female'],
+        ['prefer-not-to-say', 'Prefer not to say']
+      ]),
+      analytics: { path: 'demographics.gender' }
+    },
+    {
+      key: 'yearOfStudy',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'Year of study',
+      page: 1,
+      required: true,
+      options: options([
+        ['first-year', 'First year'],
+        ['second-year', 'Second year'],
+        ['third-year', 'Third year'],
+        ['fourth-year', 'Fourth year'],
+        ['post-graduate', 'Post-graduate']
+      ]),
+      analytics: { path: 'demographics.yearOfStudy' }
+    },
+    {
+      key: 'fieldOfStudy',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'Field of study',
+      page: 1,
+      required: true,
+      catalogue: 'fieldsOfStudy',
+      options: options([
+        ['liberal-arts', 'Liberal arts'],
+        ['science', 'Science'],
+        ['engineering', 'Engineering'],
+        ['arts', 'Arts'],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'demographics.fieldOfStudy' }
+    },
+    {
+      key: 'university',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'University',
+      page: 1,
+      required: true,
+      catalogue: 'universities',
+      options: options([
+        ['uol', 'University of Lahore', ['UoL Lahore']],
+        ['ucp', 'University of Central Punjab'],
+        ['umt', 'University of Management and Technology', ['UMT Lahore']],
+        ['iac', 'Institute of Art and Culture'],
+        ['bnu', 'Beaconhouse National University'],
+        ['fccu', 'Forman Christian College', ['FCC', 'Forman Christian College University']],
+        ['gc', 'Government College University', ['GCU', 'GC University']],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'demographics.university' }
+    },
+
+    // Social Media Habits
+    {
+      key: 'socialMediaPlatforms',
+      type: QUESTION_TYPES.MULTI_CHOICE,
+      label: 'Which social media platforms do you use?',
+      page: 2,
+      options: options([
+        ['facebook', 'Facebook'],
+        ['instagram', 'Instagram'],
+        ['tiktok', 'TikTok'],
+        ['youtube', 'YouTube'],
+        ['snapchat', 'Snapchat'],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'socialMedia.platforms' }
+    },
+    {
+      key: 'timeSpentOnSocialMedia',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'How much time do you spend on social media each day?',
+      page: 2,
+      options: options([
+        ['0-1-hour', '0-1 hour'],
+        ['2-3-hours', '2-3 hours'],
+        ['4-5-hours', '4-5 hours'],
+        ['6-plus-hours', '6+ hours']
+      ]),
+      analytics: { path: 'socialMedia.timeSpent' }
+    },
+    {
+      key: 'followsTechContent',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'How often do you follow tech content?',
+      page: 2,
+      options: options([
+        ['often', 'Often'],
+        ['sometimes', 'Sometimes'],
+        ['rarely', 'Rarely'],
+        ['never', 'Never']
+      ]),
+      analytics: { path: 'socialMedia.techContentFollowing' }
+    },
+    {
+      key: 'techUpdateSources',
+      type: QUESTION_TYPES.MULTI_CHOICE,
+      label: 'Where do you get your tech updates?',
+      page: 2,
+      options: []
+    },
+
+    // Mobile Phone Usage
+    {
+      key: 'currentPhoneBrand',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'Which phone brand do you currently use?',
+      page: 3,
+      required: true,
+      catalogue: 'phoneBrands',
+      options: options([
+        ['apple', 'Apple'],
+        ['samsung', 'Samsung'],
+        ['oppo', 'OPPO'],
+        ['vivo', 'vivo'],
+        ['tecno', 'TECNO'],
+        ['infinix', 'Infinix'],
+        ['realme', 'realme'],
+        ['redmi', 'Redmi'],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'phoneUsage.brands' }
+    },
+    {
+      key: 'topPhoneFunctions',
+      type: QUESTION_TYPES.MULTI_CHOICE,
+      label: 'What do you use your phone for the most?',
+      page: 3,
+      options: options([
+        ['camera-video', 'Camera & video'],
+        ['gaming', 'Gaming'],
+        ['communication', 'Communication'],
+        ['study-work', 'Study & work'],
+        ['social-media', 'Social media'],
+        ['watching-videos', 'Watching videos'],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'phoneUsage.topFunctions' }
+    },
+    {
+      key: 'phoneChangeFrequency',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'How often do you change your phone?',
+      page: 3,
+      options: options([
+        ['less-than-1-year', 'Less than 1 year'],
+        ['1-2-years', '1-2 years'],
+        ['2-3-years', '2-3 years'],
+        ['more-than-3-years', 'More than 3 years']
+      ]),
+      analytics: { path: 'phoneUsage.changeFrequency' }
+    },
+    {
+      key: 'tecnoExperience',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'Have you used a TECNO phone?',
+      page: 3,
+      required: true,
+      options: options([
+        ['yes-used', 'Yes, I have used one'],
+        ['heard-of', 'I have heard of TECNO'],
+        ['never-heard', 'I have never heard of TECNO']
+      ]),
+      analytics: { path: 'tecnoExperience' }
+    },
+    {
+      key: 'tecnoExperienceRating',
+      type: QUESTION_TYPES.TEXT,
+      label: 'How would you rate your TECNO experience?',
+      page: 3,
+      showWhen: [{ field: 'tecnoExperience', operator: 'notEquals', value: 'never-heard' }],
+      options: []
+    },
+
+    // Skills & Work
+    {
+      key: 'learningSkills',
+      type: QUESTION_TYPES.MULTI_CHOICE,
+      label: 'Which skills are you learning?',
+      page: 4,
+      catalogue: 'skills',
+      options: options([
+        ['none', 'None'],
+        ['web-development', 'Web development'],
+        ['graphic-design', 'Graphic design'],
+        ['video-editing', 'Video editing'],
+        ['trading', 'Trading'],
+        ['programming', 'Programming'],
+        ['digital-marketing', 'Digital marketing'],
+        ['ecommerce', 'E-commerce'],
+        ['english-learning', 'English learning'],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'skills.learningSkills' }
+    },
+    {
+      key: 'partTimeWork',
+      type: QUESTION_TYPES.MULTI_CHOICE,
+      label: 'What part-time work do you do?',
+      page: 4,
+      options: options([
+        ['none', 'None'],
+        ['freelancing-it', 'Freelancing (IT)'],
+        ['freelancing-design', 'Freelancing (design)'],
+        ['content-creation', 'Content creation'],
+        ['video-creation', 'Video creation'],
+        ['online-trading', 'Online trading'],
+        ['teaching', 'Teaching'],
+        ['business', 'Business'],
+        ['food-delivery', 'Food delivery'],
+        ['ride-hailing', 'Ride hailing'],
+        ['sales-marketing', 'Sales & marketing'],
+        ['call-center', 'Call center'],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'skills.partTimeWork' }
+    },
+
+    // What Matters Most in a New Phone
+    {
+      key: 'phoneFeaturesRanking',
+      type: QUESTION_TYPES.RANKING,
+      label: 'Rank what matters most to you in a new phone',
+      page: 5,
+      options: options([
+        ['camera', 'Camera'],
+        ['battery', 'Battery life'],
+        ['performance', 'Performance'],
+        ['display', 'Display'],
+        ['storage', 'Storage'],
+        ['design', 'Design'],
+        ['price', 'Price'],
+        ['brand', 'Brand']
+      ]),
+      // Counted as Borda points, rank sums and first choices per feature
+      analytics: { path: 'preferences.featureRanking' }
+    },
+    {
+      key: 'phoneBudget',
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      label: 'What is your budget for a new phone?',
+      page: 5,
+      required: true,
+      options: options([
+        ['20-30k', 'Rs. 20,000 - 30,000'],
+        ['31-45k', 'Rs. 31,000 - 45,000'],
+        ['46-60k', 'Rs. 46,000 - 60,000'],
+        ['61-80k', 'Rs. 61,000 - 80,000'],
+        ['81-100k', 'Rs. 81,000 - 100,000'],
+        ['above-100k', 'Above Rs. 100,000']
+      ]),
+      analytics: { path: 'preferences.budget' }
+    },
+    {
+      key: 'preferredPhoneColors',
+      type: QUESTION_TYPES.MULTI_CHOICE,
+      label: 'Which phone colors do you prefer?',
+      page: 5,
+      options: options([
+        ['black', 'Black'],
+        ['white', 'White'],
+        ['blue', 'Blue'],
+        ['red', 'Red'],
+        ['green', 'Green'],
+        ['purple', 'Purple'],
+        ['gold', 'Gold'],
+        ['silver', 'Silver'],
+        ['pink', 'Pink'],
+        ['gray', 'Gray']
+      ]),
+      analytics: { path: 'preferences.colors' }
+    },
+
+    // TECNO Campus Brand Ambassador Program
+    {
+      key: 'interestedInAmbassador',
+      type: QUESTION_TYPES.BOOLEAN,
+      label: 'Are you interested in becoming a TECNO Campus Brand Ambassador?',
+      page: 6,
+      required: true,
+      options: [],
+      analytics: { path: 'ambassador', trueKey: 'interested', falseKey: 'notInterested' }
+    },
+    {
+      key: 'ambassadorStrengths',
+      type: QUESTION_TYPES.MULTI_CHOICE,
+      label: 'What would make you a great ambassador?',
+      page: 6,
+      showWhen: INTERESTED_IN_AMBASSADOR,
+      options: options([
+        ['large-social-circle', 'Large social circle'],
+        ['content-creation', 'Content creation'],
+        ['sharing-engaging', 'Sharing & engaging'],
+        ['tech-interested', 'Interested in tech'],
+        ['campus-events', 'Organizing campus events'],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'ambassador.strengths' }
+    },
+    {
+      key: 'ambassadorBenefits',
+      type: QUESTION_TYPES.MULTI_CHOICE,
+      label: 'Which ambassador benefits interest you?',
+      page: 6,
+      showWhen: INTERESTED_IN_AMBASSADOR,
+      options: options([
+        ['free-trial', 'Free phone trial'],
+        ['merchandise', 'Merchandise'],
+        ['training', 'Training'],
+        ['internship', 'Internship'],
+        ['certificates', 'Certificates'],
+        ['other', 'Other']
+      ]),
+      analytics: { path: 'ambassador.benefits' }
+    },
+    {
+      key: 'name',
+      type: QUESTION_TYPES.TEXT,
+      label: 'Name',
+      page: 6,
+      showWhen: INTERESTED_IN_AMBASSADOR,
+      requiredWhen: { field: 'interestedInAmbassador', operator: 'equals', value: true },
+      options: []
+    },
+    {
+      key: 'contactNumber',
+      type: QUESTION_TYPES.TEXT,
+      label: 'Contact number',
+      page: 6,
+      showWhen: INTERESTED_IN_AMBASSADOR,
+      requiredWhen: { field: 'interestedInAmbassador', operator: 'equals', value: true },
+      options: []
+    },
+    { key: 'socialMediaLink', type: QUESTION_TYPES.TEXT, label: 'Social media profile link', page: 6, showWhen: INTERESTED_IN_AMBASSADOR, options: [] },
+    { key: 'followerCount', type: QUESTION_TYPES.TEXT, label: 'Follower count', page: 6, showWhen: INTERESTED_IN_AMBASSADOR, options: [] },
+
+    // Suggestions
+    { key: 'suggestions', type: QUESTION_TYPES.TEXT, label: 'Any suggestions for us?', page: 7, options: [] }
+  ],
+  translations: DEFAULT_TRANSLATIONS
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  ARRAY_QUESTION_TYPES,
+  ANALYTICS_SECTIONS,
+  DEFAULT_SURVEY_DEFINITION
+};
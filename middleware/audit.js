@@ -425,10 +425,10 @@ class AuditManager {
 // Export singleton instance
 const auditManager = new AuditManager();
 
-// Cleanup old logs daily
+// Cleanup old logs daily (the timer does not keep the process alive)
 setInterval(() => {
   auditManager.cleanupOldLogFiles();
-}, 24 * 60 * 60 * 1000);
+}, 24 * 60 * 60 * 1000).unref();
 
 // Middleware exports
 const auditAuth = auditManager.createAuditMiddleware('authentication', 'login', 'user');
@@ -437,10 +437,10 @@ class AuthenticationManager {
 // Export singleton instance
 const authManager = new AuthenticationManager();
 
-// Cleanup expired data every hour
+// Cleanup expired data every hour (the timer does not keep the process alive)
 setInterval(() => {
   authManager.cleanupExpiredData();
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 // Middleware exports
 const requireAuth = authManager.createAuthMiddleware(true);
@@ -1,4 +1,5 @@
 const { cacheService, CACHE_TTL } = require('../config/redis');
+const AnalyticsService = require('../services/analyticsService');
 
 // Cache middleware for API responses
 const cacheMiddleware = (ttl = CACHE_TTL.ANALYTICS, keyGenerator = null) => {
@@ -106,14 +107,26 @@ const analyticsCacheMiddleware = async (req, res, next) => {
   }
   
   try {
-    const type = req.params.type || req.query.type || 'daily';
-    const date = req.params.date || req.query.date || new Date().toISOString().split('T')[0];
+    // Keyed on the endpoint and all its parameters (includePartials among them),
+    // so different endpoints and filters never share an entry. Requests without a date are keyed on the start
+    // of the current period (today for non-period endpoints), in server-local time
+    // like the periods themselves, so they roll over when it ends. Segments are
+    // keyed on their definition rather than their name, so editing one never
+    // serves its old results.
+    const endpoint = req.path.replace(/^\/+|\/+$/g, '') || 'index';
+    const { campaignId = null, ...query } = req.query;
+    const params = {
+      date: AnalyticsService.currentPeriodStart(endpoint).toISOString(),
+      ...req.params,
+      ...query,
+      ...(req.segment && { segment: req.segment.hash })
+    };
     
-    const cacheKey = cacheService.buildAnalyticsKey(type, date);
+    const cacheKey = cacheService.buildAnalyticsKey(endpoint, params, campaignId);
     const cachedAnalytics = await cacheService.get(cacheKey);
     
     if (cachedAnalytics) {
-      console.log(`📦 Analytics cache hit for: ${type}:${date}`);
+      console.log(`📦 Analytics cache hit for: ${cacheKey}`);
       return res.json({
         success: true,
         data: cachedAnalytics,
@@ -128,8 +141,10 @@ const analyticsCacheMiddleware = async (req, res, next) => {
     res.json = function(data) {
       if (data.success && data.data) {
         // Cache the analytics data
+        // Indexed so submissions only clear the responses they can change
         cacheService.set(cacheKey, data.data, CACHE_TTL.ANALYTICS).then(() => {
-          console.log(`💾 Cached analytics for: ${type}:${date}`);
+          console.log(`💾 Cached analytics for: ${cacheKey}`);
+          return cacheService.indexAnalyticsKey(cacheKey, campaignId, AnalyticsService.cachedUntil(endpoint, params));
         }).catch(error => {
           console.error('❌ Analytics cache set error:', error);
         });
@@ -187,9 +202,10 @@ const cacheInvalidationMiddleware = (patterns = []) => {
       // Override res.json to invalidate cache after successful operations
       res.json = function(data) {
         if (data.success) {
-          // Invalidate cache patterns
+          // Invalidate cache patterns; glob patterns remove every matching key
           patterns.forEach(pattern => {
-            cacheService.delete(pattern).then(() => {
+            const invalidation = pattern.includes('*') ? cacheService.deletePattern(pattern) : cacheService.delete(pattern);
+            invalidation.then(() => {
               console.log(`🗑️ Invalidated cache pattern: ${pattern}`);
             }).catch(error => {
               console.error('❌ Cache invalidation error:', error);
@@ -0,0 +1,37 @@
+const CampaignService = require('../services/campaignService');
+
+// Resolve the optional campaignId (query string, or body for POST endpoints) used
+// by stats and analytics endpoints. Sets req.campaign, or null for the global view.
+const campaignScope = async (req, res, next) => {
+  const campaignId = req.query.campaignId || (req.body && req.body.campaignId);
+
+  if (!campaignId) {
+    req.campaign = null;
+    return next();
+  }
+
+  try {
+    const campaign = await CampaignService.findCampaign(campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    console.error('❌ Campaign scope error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve campaign',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  campaignScope
+};
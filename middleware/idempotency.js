@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Longest Idempotency-Key accepted
+const MAX_KEY_LENGTH = 255;
+
+// A request still pending after this long is assumed to have died mid-flight
+const PENDING_TIMEOUT_MS = 60 * 1000;
+
+const fingerprintOf = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(req.body || {}))
+  .digest('hex');
+
+// Honour an optional Idempotency-Key header. The first request with a key is
+// processed and its 2xx response stored; retries with the same key and body get
+// that response replayed (with Idempotent-Replayed: true) instead of running
+// again. Failed requests are not stored, so they can be retried with the same key.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const fingerprint = fingerprintOf(req);
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({ key, scope, fingerprint });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ scope, key });
+
+      if (!existing) {
+        // Expired between the insert and the lookup; process the request without a record
+        return next();
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          code: 'idempotency_key_reused',
+          message: 'Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status === 'pending' && Date.now() - existing.updatedAt.getTime() > PENDING_TIMEOUT_MS) {
+        await IdempotencyKey.deleteOne({ _id: existing._id, status: 'pending' });
+        return idempotency(req, res, next);
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          code: 'request_in_progress',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      console.log(`🔁 Replaying idempotent response for ${scope}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response once the request has been handled, and only send it
+    // after that, so a retry arriving right after the response is replayed
+    // rather than seeing the request as still in progress
+    const originalJson = res.json;
+    res.json = function(body) {
+      const stored = res.statusCode >= 200 && res.statusCode < 300
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      stored
+        .catch(error => {
+          console.error('❌ Idempotency record error:', error);
+        })
+        .then(() => originalJson.call(this, body));
+
+      return this;
+    };
+
+    next();
+  } catch (error) {
+    console.error('❌ Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process Idempotency-Key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,30 @@
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, RTL_LOCALES } = require('../config/locales');
+
+// Normalize 'ur-PK', 'UR' etc. to a supported locale, or null
+const normalizeLocale = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+// Resolve the respondent's locale from ?lang=, then Accept-Language, then the
+// default locale. Sets req.locale and the Content-Language / Vary headers.
+const resolveLocale = (req, res, next) => {
+  const fromQuery = normalizeLocale(req.query.lang);
+  const fromHeader = req.get('Accept-Language') ? normalizeLocale(req.acceptsLanguages(...SUPPORTED_LOCALES) || null) : null;
+
+  req.locale = fromQuery || fromHeader || DEFAULT_LOCALE;
+
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+
+  next();
+};
+
+const isRtlLocale = (locale) => RTL_LOCALES.includes(locale);
+
+module.exports = {
+  resolveLocale,
+  normalizeLocale,
+  isRtlLocale
+};
@@ -66,6 +66,13 @@ const surveySubmissionDuration = new prometheus.Histogram({
   registers: [register]
 });
 
+const surveyValidationRejections = new prometheus.Counter({
+  name: 'survey_validation_rejections_total',
+  help: 'Total number of survey answers rejected by validation',
+  labelNames: ['field', 'reason'],
+  registers: [register]
+});
+
 // Database metrics
 const databaseConnections = new prometheus.Gauge({
   name: 'database_connections_active',
@@ -299,6 +306,11 @@ const updateSurveyMetrics = (submittedCount = 0, duration = 0) => {
   }
 };
 
+// Function to update answer validation metrics
+const updateValidationMetrics = (field, reason) => {
+  surveyValidationRejections.inc({ field, reason });
+};
+
 // Function to update database metrics
 const updateDatabaseMetrics = (activeConnections, operation, collection, duration, status) => {
   if (activeConnections !== undefined) {
@@ -397,6 +409,7 @@ module.exports = {
   sessionCreationFailures,
   surveySubmissions,
   surveySubmissionDuration,
+  surveyValidationRejections,
   databaseConnections,
   databaseQueryDuration,
   databaseOperations,
@@ -417,6 +430,7 @@ module.exports = {
   redisMetricsMiddleware,
   updateSessionMetrics,
   updateSurveyMetrics,
+  updateValidationMetrics,
   updateDatabaseMetrics,
   updateRedisMetrics,
   updateRateLimitMetrics,
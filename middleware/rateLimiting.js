@@ -90,6 +90,20 @@ const statusCheckLimiter = createCustomLimiter({
   legacyHeaders: false
 });
 
+// Rate limiter for claiming resume codes; keyed by IP only so rotating the
+// User-Agent does not buy more guesses
+const resumeClaimLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 claim attempts per window
+  message: {
+    success: false,
+    message: 'Too many resume attempts, please try again later.',
+    retryAfter: 15 * 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Middleware to add rate limit headers
 const addRateLimitHeaders = (req, res, next) => {
   // Add custom headers for client-side rate limit awareness
@@ -137,6 +151,7 @@ module.exports = {
   surveySubmissionLimiter,
   progressSavingLimiter,
   statusCheckLimiter,
+  resumeClaimLimiter,
   addRateLimitHeaders,
   bypassRateLimit,
   rateLimitMonitor,
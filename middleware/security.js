@@ -117,7 +117,8 @@ const corsConfig = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'If-None-Match', 'Idempotency-Key', 'X-Respondent-Token'],
+  exposedHeaders: ['ETag', 'Idempotent-Replayed', 'X-Respondent-Token']
 };
 
 // Security middleware stack
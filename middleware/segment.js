@@ -0,0 +1,46 @@
+const SegmentService = require('../services/segmentService');
+const SurveyDefinitionService = require('../services/surveyDefinitionService');
+
+// Resolve the optional ?segment= (id or name) used by analytics endpoints. Sets
+// req.segment to { _id, name, filter, hash } — `filter` selects the segment's
+// surveys and `hash` fingerprints its definition — or null for all respondents.
+const segmentScope = async (req, res, next) => {
+  const idOrName = req.query.segment;
+
+  if (!idOrName) {
+    req.segment = null;
+    return next();
+  }
+
+  try {
+    const segment = await SegmentService.findSegment(idOrName);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        code: 'segment_not_found',
+        message: 'Segment not found'
+      });
+    }
+
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    req.segment = {
+      _id: segment._id,
+      name: segment.name,
+      filter: SegmentService.toSurveyFilter(definition, segment),
+      hash: SegmentService.definitionHash(segment)
+    };
+    next();
+  } catch (error) {
+    console.error('❌ Segment scope error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve segment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  segmentScope
+};
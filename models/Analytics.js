@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ANALYTICS_SECTIONS } = require('../config/surveyDefinition');
+const { DEFAULT_LOCALE } = require('../config/locales');
 
 // Analytics aggregation model for better performance
 const analyticsSchema = new mongoose.Schema({
@@ -13,6 +15,12 @@ const analyticsSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Campaign the row is scoped to; null rows cover all surveys
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
   
   // Survey statistics
   totalSurveys: {
@@ -20,175 +28,30 @@ const analyticsSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Demographic breakdown
-  demographics: {
-    gender: {
-      male: { type: Number, default: 0 },
-      female: { type: Number, default: 0 },
-      'prefer-not-to-say': { type: Number, default: 0 }
-    },
-    yearOfStudy: {
-      'first-year': { type: Number, default: 0 },
-      'second-year': { type: Number, default: 0 },
-      'third-year': { type: Number, default: 0 },
-      'fourth-year': { type: Number, default: 0 },
-      'post-graduate': { type: Number, default: 0 }
-    },
-    fieldOfStudy: {
-      'liberal-arts': { type: Number, default: 0 },
-      'science': { type: Number, default: 0 },
-      'engineering': { type: Number, default: 0 },
-      'arts': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    },
-    university: {
-      'uol': { type: Number, default: 0 },
-      'ucp': { type: Number, default: 0 },
-      'umt': { type: Number, default: 0 },
-      'iac': { type: Number, default: 0 },
-      'bnu': { type: Number, default: 0 },
-      'fccu': { type: Number, default: 0 },
-      'gc': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    }
-  },
-  
-  // Mobile phone usage
-  phoneUsage: {
-    brands: {
-      'apple': { type: Number, default: 0 },
-      'samsung': { type: Number, default: 0 },
-      'oppo': { type: Number, default: 0 },
-      'vivo': { type: Number, default: 0 },
-      'tecno': { type: Number, default: 0 },
-      'infinix': { type: Number, default: 0 },
-      'realme': { type: Number, default: 0 },
-      'redmi': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    },
-    changeFrequency: {
-      'less-than-1-year': { type: Number, default: 0 },
-      '1-2-years': { type: Number, default: 0 },
-      '2-3-years': { type: Number, default: 0 },
-      'more-than-3-years': { type: Number, default: 0 }
-    },
-    topFunctions: {
-      'camera-video': { type: Number, default: 0 },
-      'gaming': { type: Number, default: 0 },
-      'communication': { type: Number, default: 0 },
-      'study-work': { type: Number, default: 0 },
-      'social-media': { type: Number, default: 0 },
-      'watching-videos': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    }
-  },
-  
-  // Social media habits
-  socialMedia: {
-    platforms: {
-      'facebook': { type: Number, default: 0 },
-      'instagram': { type: Number, default: 0 },
-      'tiktok': { type: Number, default: 0 },
-      'youtube': { type: Number, default: 0 },
-      'snapchat': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    },
-    timeSpent: {
-      '0-1-hour': { type: Number, default: 0 },
-      '2-3-hours': { type: Number, default: 0 },
-      '4-5-hours': { type: Number, default: 0 },
-      '6-plus-hours': { type: Number, default: 0 }
-    },
-    techContentFollowing: {
-      'often': { type: Number, default: 0 },
-      'sometimes': { type: Number, default: 0 },
-      'rarely': { type: Number, default: 0 },
-      'never': { type: Number, default: 0 }
-    }
-  },
-  
-  // Skills and work
-  skills: {
-    learningSkills: {
-      'none': { type: Number, default: 0 },
-      'web-development': { type: Number, default: 0 },
-      'graphic-design': { type: Number, default: 0 },
-      'video-editing': { type: Number, default: 0 },
-      'trading': { type: Number, default: 0 },
-      'programming': { type: Number, default: 0 },
-      'digital-marketing': { type: Number, default: 0 },
-      'ecommerce': { type: Number, default: 0 },
-      'english-learning': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    },
-    partTimeWork: {
-      'none': { type: Number, default: 0 },
-      'freelancing-it': { type: Number, default: 0 },
-      'freelancing-design': { type: Number, default: 0 },
-      'content-creation': { type: Number, default: 0 },
-      'video-creation': { type: Number, default: 0 },
-      'online-trading': { type: Number, default: 0 },
-      'teaching': { type: Number, default: 0 },
-      'business': { type: Number, default: 0 },
-      'food-delivery': { type: Number, default: 0 },
-      'ride-hailing': { type: Number, default: 0 },
-      'sales-marketing': { type: Number, default: 0 },
-      'call-center': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    }
-  },
-  
-  // Phone preferences
-  preferences: {
-    budget: {
-      '20-30k': { type: Number, default: 0 },
-      '31-45k': { type: Number, default: 0 },
-      '46-60k': { type: Number, default: 0 },
-      '61-80k': { type: Number, default: 0 },
-      '81-100k': { type: Number, default: 0 },
-      'above-100k': { type: Number, default: 0 }
-    },
-    colors: {
-      'black': { type: Number, default: 0 },
-      'white': { type: Number, default: 0 },
-      'blue': { type: Number, default: 0 },
-      'red': { type: Number, default: 0 },
-      'green': { type: Number, default: 0 },
-      'purple': { type: Number, default: 0 },
-      'gold': { type: Number, default: 0 },
-      'silver': { type: Number, default: 0 },
-      'pink': { type: Number, default: 0 },
-      'gray': { type: Number, default: 0 }
-    }
-  },
-  
-  // Ambassador program
-  ambassador: {
-    interested: { type: Number, default: 0 },
-    notInterested: { type: Number, default: 0 },
-    strengths: {
-      'large-social-circle': { type: Number, default: 0 },
-      'content-creation': { type: Number, default: 0 },
-      'sharing-engaging': { type: Number, default: 0 },
-      'tech-interested': { type: Number, default: 0 },
-      'campus-events': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    },
-    benefits: {
-      'free-trial': { type: Number, default: 0 },
-      'merchandise': { type: Number, default: 0 },
-      'training': { type: Number, default: 0 },
-      'internship': { type: Number, default: 0 },
-      'certificates': { type: Number, default: 0 },
-      'other': { type: Number, default: 0 }
-    }
-  },
-  
-  // TECNO experience
-  tecnoExperience: {
-    'yes-used': { type: Number, default: 0 },
-    'heard-of': { type: Number, default: 0 },
-    'never-heard': { type: Number, default: 0 }
+  // Counter sections. Buckets inside each section come from the survey
+  // definition (see SurveyDefinition#buildEmptyCounters), so new questions and
+  // options do not require schema changes.
+  demographics: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  phoneUsage: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  socialMedia: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  skills: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  preferences: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  ambassador: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  tecnoExperience: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  custom: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  
+  // Responses per locale the survey was answered in
+  locales: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  
+  // Set while a rebuild recounts the document; submissions arriving meanwhile
+  // are listed in pendingSurveys instead of incrementing the counters
+  rebuild: {
+    type: new mongoose.Schema({
+      lockId: String,
+      lockedAt: Date,
+      pendingSurveys: [mongoose.Schema.Types.ObjectId]
+    }, { _id: false }),
+    default: undefined
   },
   
   // Metadata
@@ -204,6 +67,10 @@ const analyticsSchema = new mongoose.Schema({
 // Indexes for better query performance
 analyticsSchema.index({ date: -1, type: 1 });
 analyticsSchema.index({ type: 1, date: -1 });
+analyticsSchema.index({ campaignId: 1, type: 1, date: -1 });
+
+// One document per period and scope; submissions increment it in place
+analyticsSchema.index({ type: 1, date: 1, campaignId: 1 }, { unique: true });
 
 // Compound indexes for complex queries
 analyticsSchema.index({ 
@@ -213,68 +80,32 @@ analyticsSchema.index({
 });
 
 // Methods
-analyticsSchema.methods.updateStats = function(surveyData) {
+analyticsSchema.methods.updateStats = function(surveyData, definition) {
   this.totalSurveys++;
   
-  // Update demographic stats
-  if (surveyData.gender) {
-    this.demographics.gender[surveyData.gender] = (this.demographics.gender[surveyData.gender] || 0) + 1;
-  }
-  
-  if (surveyData.yearOfStudy) {
-    this.demographics.yearOfStudy[surveyData.yearOfStudy] = (this.demographics.yearOfStudy[surveyData.yearOfStudy] || 0) + 1;
-  }
-  
-  if (surveyData.fieldOfStudy) {
-    this.demographics.fieldOfStudy[surveyData.fieldOfStudy] = (this.demographics.fieldOfStudy[surveyData.fieldOfStudy] || 0) + 1;
-  }
-  
-  if (surveyData.university) {
-    this.demographics.university[surveyData.university] = (this.demographics.university[surveyData.university] || 0) + 1;
-  }
-  
-  // Update phone usage stats
-  if (surveyData.currentPhoneBrand) {
-    this.phoneUsage.brands[surveyData.currentPhoneBrand] = (this.phoneUsage.brands[surveyData.currentPhoneBrand] || 0) + 1;
-  }
-  
-  if (surveyData.phoneChangeFrequency) {
-    this.phoneUsage.changeFrequency[surveyData.phoneChangeFrequency] = (this.phoneUsage.changeFrequency[surveyData.phoneChangeFrequency] || 0) + 1;
-  }
+  definition.countAnswers(this, surveyData.answers || {});
+  ANALYTICS_SECTIONS.forEach(section => this.markModified(section));
   
-  // Update social media stats
-  if (surveyData.socialMediaPlatforms && Array.isArray(surveyData.socialMediaPlatforms)) {
-    surveyData.socialMediaPlatforms.forEach(platform => {
-      this.socialMedia.platforms[platform] = (this.socialMedia.platforms[platform] || 0) + 1;
-    });
-  }
-  
-  if (surveyData.timeSpentOnSocialMedia) {
-    this.socialMedia.timeSpent[surveyData.timeSpentOnSocialMedia] = (this.socialMedia.timeSpent[surveyData.timeSpentOnSocialMedia] || 0) + 1;
-  }
-  
-  // Update ambassador stats
-  if (surveyData.interestedInAmbassador) {
-    this.ambassador.interested++;
-  } else {
-    this.ambassador.notInterested++;
-  }
+  const locale = surveyData.locale || DEFAULT_LOCALE;
+  this.locales[locale] = (this.locales[locale] || 0) + 1;
+  this.markModified('locales');
   
   return this.save();
 };
 
 // Static methods
-analyticsSchema.statics.getDailyStats = function(date) {
+analyticsSchema.statics.getDailyStats = function(date, campaignId = null) {
   return this.findOne({ 
     date: { 
       $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
       $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
     },
-    type: 'daily'
+    type: 'daily',
+    campaignId: campaignId || null
   });
 };
 
-analyticsSchema.statics.getWeeklyStats = function(date) {
+analyticsSchema.statics.getWeeklyStats = function(date, campaignId = null) {
   const startOfWeek = new Date(date);
   startOfWeek.setDate(date.getDate() - date.getDay());
   startOfWeek.setHours(0, 0, 0, 0);
@@ -287,17 +118,19 @@ analyticsSchema.statics.getWeeklyStats = function(date) {
       $gte: startOfWeek,
       $lt: endOfWeek
     },
-    type: 'weekly'
+    type: 'weekly',
+    campaignId: campaignId || null
   });
 };
 
-analyticsSchema.statics.getMonthlyStats = function(date) {
+analyticsSchema.statics.getMonthlyStats = function(date, campaignId = null) {
   return this.findOne({ 
     date: { 
       $gte: new Date(date.getFullYear(), date.getMonth(), 1),
       $lt: new Date(date.getFullYear(), date.getMonth() + 1, 1)
     },
-    type: 'monthly'
+    type: 'monthly',
+    campaignId: campaignId || null
   });
 };
 
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A survey drive (e.g. one semester or one city). Sessions, surveys and
+// analytics rows carry the campaignId they belong to.
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: false
+  },
+  startDate: {
+    type: Date,
+    required: false
+  },
+  endDate: {
+    type: Date,
+    required: false
+  },
+  // University option values taking part; empty means any university
+  universities: [{
+    type: String
+  }],
+  targetResponses: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+    index: true
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ startDate: 1, endDate: 1 });
+
+campaignSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'endDate must be after startDate', this.endDate);
+  }
+  next();
+});
+
+// Methods
+campaignSchema.methods.isAcceptingResponses = function(now = new Date()) {
+  if (this.status !== 'open') return false;
+  if (this.startDate && now < this.startDate) return false;
+  if (this.endDate && now >= this.endDate) return false;
+  return true;
+};
+
+campaignSchema.methods.allowsUniversity = function(university) {
+  return this.universities.length === 0 || !university || this.universities.includes(university);
+};
+
+campaignSchema.methods.close = function() {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+campaignSchema.statics.findOpenCampaigns = function(now = new Date()) {
+  return this.find({
+    status: 'open',
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gt: now } }] }
+    ]
+  }).sort({ startDate: -1 });
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One entry of an option catalogue (universities, phone brands, skills, ...).
+// Survey questions with a `catalogue` draw their options from these entries.
+const catalogueEntrySchema = new mongoose.Schema({
+  catalogue: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-zA-Z][a-zA-Z0-9-]*$/
+  },
+  // Stable code stored on surveys and used as the analytics bucket key
+  value: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Display names in other locales, e.g. { ur: 'دیگر' }
+  translations: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // Alternative spellings resolved to this entry, e.g. 'UOL', 'Uni of Lahore'
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Inactive entries are hidden from respondents but kept for analytics
+  active: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+catalogueEntrySchema.index({ catalogue: 1, value: 1 }, { unique: true });
+catalogueEntrySchema.index({ catalogue: 1, active: 1, sortOrder: 1 });
+
+// Option shape used by survey definitions
+catalogueEntrySchema.methods.toOption = function() {
+  return {
+    value: this.value,
+    label: this.displayName,
+    aliases: [...this.aliases],
+    translations: this.translations || {},
+    active: this.active
+  };
+};
+
+// Static methods
+catalogueEntrySchema.statics.findByCatalogue = function(catalogue, { includeInactive = false } = {}) {
+  const filter = { catalogue };
+  if (!includeInactive) filter.active = true;
+  return this.find(filter).sort({ sortOrder: 1, displayName: 1 });
+};
+
+catalogueEntrySchema.statics.listCatalogues = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: '$catalogue',
+        entries: { $sum: 1 },
+        activeEntries: { $sum: { $cond: ['$active', 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('CatalogueEntry', catalogueEntrySchema);
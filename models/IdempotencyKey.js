@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// How long a stored response can be replayed for the same Idempotency-Key (hours)
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// Response recorded for a client-supplied Idempotency-Key, so retried requests
+// get the original response instead of being processed again
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Endpoint the key was used on, e.g. 'POST /api/survey/submit'
+  scope: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body; a key may not be reused for a different request
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../config/locales');
+
+// Answers of a session that was abandoned or expired before it was submitted,
+// kept when PARTIAL_RESPONSES_ENABLED is set. Answers are stored under `answers`
+// like on Survey, so the same analytics pipelines run over both.
+const partialResponseSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  definitionVersion: {
+    type: Number
+  },
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
+  },
+  // Always true; distinguishes partials from surveys in combined results
+  incomplete: {
+    type: Boolean,
+    default: true
+  },
+  // Session status that triggered the capture
+  reason: {
+    type: String,
+    enum: ['abandoned', 'expired'],
+    required: true
+  },
+  // Answers keyed by question key, as on Survey
+  answers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // Page the respondent was left on, and the questions they answered
+  lastPage: {
+    type: Number
+  },
+  answeredFields: [{
+    type: String
+  }],
+  device: {
+    type: { type: String },
+    vendor: { type: String },
+    model: { type: String },
+    os: { type: String },
+    osVersion: { type: String },
+    browser: { type: String },
+    browserVersion: { type: String }
+  },
+  startedAt: {
+    type: Date
+  },
+  // Last save of the session; named like Survey.submittedAt so date filters
+  // apply to surveys and partials alike
+  submittedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+partialResponseSchema.index({ campaignId: 1, submittedAt: -1 });
+partialResponseSchema.index({ submittedAt: -1 });
+
+module.exports = mongoose.model('PartialResponse', partialResponseSchema);
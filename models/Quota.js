@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// A cell condition on a survey answer, e.g. { field: 'university', value: 'uol' }
+const quotaConditionSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  operator: {
+    type: String,
+    enum: ['equals', 'notEquals', 'in', 'notIn'],
+    default: 'equals'
+  },
+  value: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// Response quota for a demographic cell (e.g. max 300 responses from one
+// university). A quota without conditions caps all responses in its scope.
+const quotaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Campaign the quota applies to; null quotas apply to every submission
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null,
+    index: true
+  },
+  conditions: [quotaConditionSchema],
+  limit: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // What happens to a response for a full cell:
+  //   reject - refuse it while the cell is full
+  //   close  - close the cell once it fills; refuse everything after
+  //   flag   - accept it and flag the survey as over quota
+  action: {
+    type: String,
+    enum: ['reject', 'close', 'flag'],
+    default: 'reject'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  // Responses counted against the limit; reserved atomically at submit time
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+quotaSchema.index({ active: 1, campaignId: 1 });
+
+// Methods
+quotaSchema.methods.isFull = function() {
+  return this.status === 'closed' || this.count >= this.limit;
+};
+
+quotaSchema.methods.toProgress = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    campaignId: this.campaignId,
+    conditions: this.conditions,
+    limit: this.limit,
+    count: this.count,
+    remaining: Math.max(this.limit - this.count, 0),
+    percentComplete: this.limit > 0 ? Math.round((this.count / this.limit) * 10000) / 100 : null,
+    action: this.action,
+    status: this.status,
+    full: this.isFull()
+  };
+};
+
+// Static methods
+quotaSchema.statics.findApplicable = function(campaignId = null) {
+  const campaignFilter = campaignId
+    ? { $or: [{ campaignId: null }, { campaignId }] }
+    : { campaignId: null };
+  return this.find({ active: true, ...campaignFilter });
+};
+
+module.exports = mongoose.model('Quota', quotaSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Named set of respondents for analytics, e.g. "TECNO users at UCP", defined by
+// filters on Survey fields. `filters` takes the same parameters as the analytics
+// query filters (see AnalyticsService.buildSurveyFilter):
+//   { currentPhoneBrand: 'tecno', university: 'ucp' }
+//   { fieldOfStudy: ['engineering', 'computer-science'], interestedInAmbassador: true }
+const segmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Campaign the segment is restricted to; null segments cover every campaign
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('Segment', segmentSchema);
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../config/locales');
+
+// How long sessions are kept: unfinished sessions for a while after their last
+// activity, completed sessions for a retention window after completion
+const IDLE_SESSION_RETENTION_HOURS = parseInt(process.env.IDLE_SESSION_RETENTION_HOURS) || 24;
+const COMPLETED_SESSION_RETENTION_DAYS = parseInt(process.env.COMPLETED_SESSION_RETENTION_DAYS) || 90;
+
+const idleRetainUntil = (from = new Date()) => new Date(from.getTime() + IDLE_SESSION_RETENTION_HOURS * 60 * 60 * 1000);
+const completedRetainUntil = (from = new Date()) => new Date(from.getTime() + COMPLETED_SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Filter matching a session still at `revision`; sessions created before
+// revisions existed have no revision field and count as revision 0
+const revisionFilter = (revision) => (revision ? { revision } : { revision: { $in: [0, null] } });
+
+// A submit holds the session until submitLockedUntil; saves are refused meanwhile
+const submitLockFree = (now = new Date()) => ({
+  $or: [{ submitLockedUntil: null }, { submitLockedUntil: { $lt: now } }]
+});
 
 const sessionSchema = new mongoose.Schema({
   sessionId: {
@@ -10,6 +28,12 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Anonymous respondent (browser) that started the session; see RespondentService
+  respondentId: {
+    type: String,
+    default: null,
+    index: true
+  },
   status: {
     type: String,
     enum: ['active', 'completed', 'expired', 'abandoned'],
@@ -23,58 +47,120 @@ const sessionSchema = new mongoose.Schema({
     type: Number,
     default: 8
   },
+  // Campaign the session belongs to; null for sessions outside any campaign
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null,
+    index: true
+  },
+  // Version of the SurveyDefinition this session is answered against
+  definitionVersion: {
+    type: Number,
+    index: true
+  },
+  // Locale the respondent answers in; answers are stored as option codes regardless
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
+  },
+  // Set while a submit is being processed, so concurrent submits of the same
+  // session cannot create two surveys
+  submitLockedUntil: {
+    type: Date
+  },
+  // Survey created when the session was submitted
+  surveyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    default: null
+  },
+  // Incremented on every change to the answers or progress; served as the ETag
+  // of the session and checked against If-Match to detect concurrent updates
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Answers keyed by question key; the shape comes from the survey definition
   surveyData: {
-    // Basic Information
-    gender: { type: String, default: '' },
-    yearOfStudy: { type: String, default: '' },
-    fieldOfStudy: { type: String, default: '' },
-    university: { type: String, default: '' },
-    
-    // Social Media Habits
-    socialMediaPlatforms: [{ type: String }],
-    timeSpentOnSocialMedia: { type: String, default: '' },
-    followsTechContent: { type: String, default: '' },
-    techUpdateSources: [{ type: String }],
-    
-    // Mobile Phone Usage
-    currentPhoneBrand: { type: String, default: '' },
-    topPhoneFunctions: [{ type: String }],
-    phoneChangeFrequency: { type: String, default: '' },
-    tecnoExperience: { type: String, default: '' },
-    tecnoExperienceRating: { type: String, default: '' },
-    
-    // Skills & Work
-    learningSkills: [{ type: String }],
-    partTimeWork: [{ type: String }],
-    
-    // What Matters Most in a New Phone
-    phoneFeaturesRanking: [{ type: String }],
-    phoneBudget: { type: String, default: '' },
-    preferredPhoneColors: [{ type: String }],
-    
-    // TECNO Campus Brand Ambassador Program
-    interestedInAmbassador: { type: Boolean, default: false },
-    ambassadorStrengths: [{ type: String }],
-    ambassadorBenefits: [{ type: String }],
-    name: { type: String, default: '' },
-    contactNumber: { type: String, default: '' },
-    socialMediaLink: { type: String, default: '' },
-    followerCount: { type: String, default: '' },
-    
-    // Suggestions
-    suggestions: { type: String, default: '' }
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
   },
+  // Every answer edit in order, kept until submit to study how answers are revised
+  answerHistory: [{
+    _id: false,
+    field: { type: String },
+    op: { type: String, enum: ['set', 'unset', 'add', 'remove'] },
+    previous: { type: mongoose.Schema.Types.Mixed },
+    value: { type: mongoose.Schema.Types.Mixed },
+    page: { type: Number },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  // Client device; device, OS and browser are parsed from the User-Agent
   metadata: {
     ipAddress: { type: String },
     userAgent: { type: String },
+    // mobile, tablet, desktop, ... or unknown
     deviceType: { type: String },
-    browser: { type: String }
+    deviceVendor: { type: String },
+    deviceModel: { type: String },
+    os: { type: String },
+    osVersion: { type: String },
+    browser: { type: String },
+    browserVersion: { type: String },
+    // Devices the session moved between via resume codes, oldest first
+    handoffs: [{
+      _id: false,
+      from: {
+        ipAddress: String,
+        userAgent: String,
+        deviceType: String,
+        os: String,
+        browser: String
+      },
+      to: {
+        ipAddress: String,
+        userAgent: String,
+        deviceType: String,
+        os: String,
+        browser: String
+      },
+      claimedAt: { type: Date, default: Date.now }
+    }]
+  },
+  // Outstanding resume code for continuing on another device; only its hash is stored
+  resume: {
+    codeHash: { type: String },
+    issuedAt: { type: Date },
+    expiresAt: { type: Date }
   },
   timestamps: {
     createdAt: { type: Date, default: Date.now },
     lastActivity: { type: Date, default: Date.now },
+    // When the respondent arrived on the current page: session start, then each save
+    pageEnteredAt: { type: Date, default: Date.now },
     completedAt: { type: Date },
+    abandonedAt: { type: Date },
     expiredAt: { type: Date }
+  },
+  // Time spent on each saved page: from timestamps.pageEnteredAt to the save.
+  // A page saved more than once (draft saves) has one entry per save.
+  pageTimings: [{
+    _id: false,
+    page: { type: Number },
+    enteredAt: { type: Date },
+    exitedAt: { type: Date },
+    durationMs: { type: Number }
+  }],
+  // Session start to submit, set on completion
+  completionTimeMs: {
+    type: Number
+  },
+  // MongoDB deletes the session once this passes (see the TTL index below)
+  retainUntil: {
+    type: Date,
+    default: () => idleRetainUntil()
   }
 }, {
   timestamps: true
@@ -84,20 +170,41 @@ const sessionSchema = new mongoose.Schema({
 sessionSchema.index({ sessionId: 1 });
 sessionSchema.index({ status: 1 });
 sessionSchema.index({ 'timestamps.createdAt': 1 });
+sessionSchema.index({ 'resume.codeHash': 1 }, { sparse: true });
+sessionSchema.index({ status: 1, 'timestamps.completedAt': -1 });
+sessionSchema.index({ 'timestamps.createdAt': 1, 'metadata.deviceType': 1 });
 
-// TTL index for automatic cleanup of expired sessions (24 hours)
-sessionSchema.index({ 'timestamps.lastActivity': 1 }, { expireAfterSeconds: 86400 });
+// TTL index for automatic cleanup: unfinished sessions IDLE_SESSION_RETENTION_HOURS
+// after their last activity, completed ones COMPLETED_SESSION_RETENTION_DAYS after submit
+sessionSchema.index({ retainUntil: 1 }, { expireAfterSeconds: 0 });
 
 // Methods
 sessionSchema.methods.updateActivity = function() {
   this.timestamps.lastActivity = new Date();
+  this.retainUntil = idleRetainUntil(this.timestamps.lastActivity);
   return this.save();
 };
 
-sessionSchema.methods.completeSession = function() {
-  this.status = 'completed';
-  this.timestamps.completedAt = new Date();
-  return this.save();
+// Mark the session submitted. Only applies while the session is still at the
+// revision it was read at; returns the completed session, or null when it was
+// changed or completed by another request meanwhile.
+sessionSchema.methods.completeSession = function(surveyId = null) {
+  const completedAt = new Date();
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'active', ...revisionFilter(this.revision) },
+    {
+      $set: {
+        status: 'completed',
+        surveyId,
+        'timestamps.completedAt': completedAt,
+        completionTimeMs: completedAt - this.timestamps.createdAt,
+        retainUntil: completedRetainUntil(completedAt)
+      },
+      $unset: { submitLockedUntil: 1 },
+      $inc: { revision: 1 }
+    },
+    { new: true }
+  );
 };
 
 sessionSchema.methods.expireSession = function() {
@@ -111,13 +218,40 @@ sessionSchema.statics.findActiveSessions = function() {
   return this.find({ status: 'active' });
 };
 
-sessionSchema.statics.cleanupExpiredSessions = function() {
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+// Filter for sessions in `statuses` idle since before `idleBefore`, optionally
+// limited to `sessionIds`. Sessions with a submit in progress are left alone, and
+// so are sessions with an unclaimed resume code, which stay resumable until it expires.
+const idleSessionFilter = (statuses, idleBefore, sessionIds = null) => ({
+  status: { $in: statuses },
+  'timestamps.lastActivity': { $lt: idleBefore },
+  $or: [{ submitLockedUntil: null }, { submitLockedUntil: { $lt: new Date() } }],
+  'resume.expiresAt': { $not: { $gt: new Date() } },
+  ...(sessionIds && { sessionId: { $in: sessionIds } })
+});
+
+sessionSchema.statics.findIdleSessions = function(statuses, idleBefore, limit = 500) {
+  return this.find(idleSessionFilter(statuses, idleBefore))
+    .sort({ 'timestamps.lastActivity': 1 })
+    .limit(limit)
+    .select('sessionId campaignId status')
+    .lean();
+};
+
+sessionSchema.statics.abandonIdleSessions = function(idleBefore, sessionIds = null) {
   return this.updateMany(
-    { 
-      status: 'active',
-      'timestamps.lastActivity': { $lt: oneHourAgo }
-    },
+    idleSessionFilter(['active'], idleBefore, sessionIds),
+    {
+      $set: {
+        status: 'abandoned',
+        'timestamps.abandonedAt': new Date()
+      }
+    }
+  );
+};
+
+sessionSchema.statics.cleanupExpiredSessions = function(idleBefore = new Date(Date.now() - 60 * 60 * 1000), sessionIds = null) {
+  return this.updateMany(
+    idleSessionFilter(['active', 'abandoned'], idleBefore, sessionIds),
     { 
       $set: { 
         status: 'expired',
@@ -127,4 +261,27 @@ sessionSchema.statics.cleanupExpiredSessions = function() {
   );
 };
 
+sessionSchema.statics.idleRetainUntil = idleRetainUntil;
+sessionSchema.statics.revisionFilter = revisionFilter;
+sessionSchema.statics.submitLockFree = submitLockFree;
+
+// Give sessions stored before retainUntil existed the date the TTL index needs;
+// without one they are never deleted. Same rules as the save paths above.
+sessionSchema.statics.backfillRetainUntil = function() {
+  const idleUntil = {
+    $max: [
+      { $add: [{ $ifNull: ['$timestamps.lastActivity', '$$NOW'] }, IDLE_SESSION_RETENTION_HOURS * 60 * 60 * 1000] },
+      { $ifNull: ['$resume.expiresAt', null] }
+    ]
+  };
+  const completedUntil = {
+    $add: [{ $ifNull: ['$timestamps.completedAt', '$$NOW'] }, COMPLETED_SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000]
+  };
+
+  return this.updateMany(
+    { retainUntil: { $exists: false } },
+    [{ $set: { retainUntil: { $cond: [{ $eq: ['$status', 'completed'] }, completedUntil, idleUntil] } } }]
+  );
+};
+
 module.exports = mongoose.model('Session', sessionSchema);
@@ -1,116 +1,46 @@
 const mongoose = require('mongoose');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../config/locales');
 
 const surveySchema = new mongoose.Schema({
-  // Basic Information
-  gender: {
-    type: String,
-    required: false
-  },
-  yearOfStudy: {
-    type: String,
-    required: false
-  },
-  fieldOfStudy: {
-    type: String,
-    required: false
-  },
-  university: {
-    type: String,
-    required: false
-  },
-  
-  // Social Media Habits
-  socialMediaPlatforms: [{
-    type: String
-  }],
-  timeSpentOnSocialMedia: {
-    type: String,
-    required: false
-  },
-  followsTechContent: {
-    type: String,
-    required: false
+  // Answers keyed by question key, as whitelisted against the survey definition
+  // version below (see AnswerValidationService.prepareSubmission). Kept in one
+  // field so questions added by later definitions need no schema change.
+  // Ranking answers are [{ value, rank }] in rank order; surveys submitted before
+  // ranks were stored hold a plain ordered array of option values.
+  answers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
   },
-  techUpdateSources: [{
-    type: String
-  }],
   
-  // Mobile Phone Usage
-  currentPhoneBrand: {
-    type: String,
-    required: false
-  },
-  topPhoneFunctions: [{
-    type: String
-  }],
-  phoneChangeFrequency: {
-    type: String,
-    required: false
-  },
-  tecnoExperience: {
-    type: String,
-    required: false
+  // Metadata
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
   },
-  tecnoExperienceRating: {
-    type: String,
+  definitionVersion: {
+    type: Number,
     required: false
   },
-  
-  // Skills & Work
-  learningSkills: [{
-    type: String
-  }],
-  partTimeWork: [{
-    type: String
-  }],
-  
-  // What Matters Most in a New Phone
-  phoneFeaturesRanking: [{
-    type: String
-  }],
-  phoneBudget: {
-    type: String,
-    required: false
+  // Answer edits copied from the session at submit (see Session.answerHistory)
+  answerHistory: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
   },
-  preferredPhoneColors: [{
-    type: String
-  }],
-  
-  // TECNO Campus Brand Ambassador Program
-  interestedInAmbassador: {
+  // Set when the response was accepted into full quota cells with the 'flag' action
+  overQuota: {
     type: Boolean,
     default: false
   },
-  ambassadorStrengths: [{
-    type: String
+  quotaFlags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quota'
   }],
-  ambassadorBenefits: [{
-    type: String
-  }],
-  name: {
-    type: String,
-    required: false
-  },
-  contactNumber: {
-    type: String,
-    required: false
-  },
-  socialMediaLink: {
-    type: String,
-    required: false
-  },
-  followerCount: {
+  locale: {
     type: String,
-    required: false
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE
   },
-  
-  // Suggestions
-  suggestions: {
-    type: String,
-    required: false
-  },
-  
-  // Metadata
   submittedAt: {
     type: Date,
     default: Date.now
@@ -122,6 +52,21 @@ const surveySchema = new mongoose.Schema({
   userAgent: {
     type: String,
     required: false
+  },
+  // Anonymous respondent (browser) that submitted; see RespondentService
+  respondentId: {
+    type: String,
+    default: null
+  },
+  // Device, OS and browser parsed from the User-Agent
+  device: {
+    type: { type: String },
+    vendor: { type: String },
+    model: { type: String },
+    os: { type: String },
+    osVersion: { type: String },
+    browser: { type: String },
+    browserVersion: { type: String }
   }
 }, {
   timestamps: true
@@ -129,45 +74,51 @@ const surveySchema = new mongoose.Schema({
 
 // Create indexes for better query performance
 surveySchema.index({ submittedAt: -1 });
-surveySchema.index({ university: 1 });
-surveySchema.index({ interestedInAmbassador: 1 });
+surveySchema.index({ 'answers.university': 1 });
+surveySchema.index({ 'answers.interestedInAmbassador': 1 });
+surveySchema.index({ definitionVersion: 1 });
+surveySchema.index({ campaignId: 1, submittedAt: -1 });
+surveySchema.index({ locale: 1 });
+surveySchema.index({ overQuota: 1 });
+surveySchema.index({ respondentId: 1, submittedAt: -1 });
 
 // Additional performance indexes
 surveySchema.index({ ipAddress: 1 });
 surveySchema.index({ userAgent: 1 });
-surveySchema.index({ gender: 1, yearOfStudy: 1 });
-surveySchema.index({ currentPhoneBrand: 1 });
-surveySchema.index({ fieldOfStudy: 1, university: 1 });
-surveySchema.index({ phoneBudget: 1 });
-surveySchema.index({ 'socialMediaPlatforms': 1 });
-surveySchema.index({ 'learningSkills': 1 });
-surveySchema.index({ 'partTimeWork': 1 });
+surveySchema.index({ 'device.type': 1, 'device.os': 1 });
+surveySchema.index({ 'answers.gender': 1, 'answers.yearOfStudy': 1 });
+surveySchema.index({ 'answers.currentPhoneBrand': 1 });
+surveySchema.index({ 'answers.fieldOfStudy': 1, 'answers.university': 1 });
+surveySchema.index({ 'answers.phoneBudget': 1 });
+surveySchema.index({ 'answers.socialMediaPlatforms': 1 });
+surveySchema.index({ 'answers.learningSkills': 1 });
+surveySchema.index({ 'answers.partTimeWork': 1 });
 
 // Compound indexes for complex queries
 surveySchema.index({ 
-  university: 1, 
-  fieldOfStudy: 1, 
+  'answers.university': 1, 
+  'answers.fieldOfStudy': 1, 
   submittedAt: -1 
 });
 
 surveySchema.index({ 
-  interestedInAmbassador: 1, 
+  'answers.interestedInAmbassador': 1, 
   submittedAt: -1 
 });
 
 surveySchema.index({ 
-  currentPhoneBrand: 1, 
-  phoneBudget: 1 
+  'answers.currentPhoneBrand': 1, 
+  'answers.phoneBudget': 1 
 });
 
 // Text index for search functionality
 surveySchema.index({ 
-  name: 'text', 
-  suggestions: 'text' 
+  'answers.name': 'text', 
+  'answers.suggestions': 'text' 
 });
 
 // Sparse indexes for optional fields
-surveySchema.index({ contactNumber: 1 }, { sparse: true });
-surveySchema.index({ socialMediaLink: 1 }, { sparse: true });
+surveySchema.index({ 'answers.contactNumber': 1 }, { sparse: true });
+surveySchema.index({ 'answers.socialMediaLink': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Survey', surveySchema);
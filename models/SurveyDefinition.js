@@ -0,0 +1,552 @@
+const mongoose = require('mongoose');
+const {
+  QUESTION_TYPES,
+  ARRAY_QUESTION_TYPES,
+  ANALYTICS_SECTIONS
+} = require('../config/surveyDefinition');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../config/locales');
+
+// String values treated as `false` for boolean questions (form posts send strings)
+const FALSE_STRINGS = ['', 'false', '0', 'no', 'off'];
+
+// Canonical form used to compare submitted values with option values, labels and
+// aliases, e.g. 'Samsung ' -> 'samsung', 'Prefer not to say' -> 'prefer-not-to-say'
+const canonicalize = (value) => String(value).trim().toLowerCase().replace(/\s+/g, '-');
+
+const optionSchema = new mongoose.Schema({
+  value: { type: String, required: true },
+  label: { type: String, default: '' },
+  aliases: [{ type: String }],
+  // Inactive options are not offered or accepted, but are still counted
+  active: { type: Boolean, default: true }
+}, { _id: false });
+
+// Condition on another question's answer, e.g. { field: 'interestedInAmbassador', value: true }.
+// For multi-choice answers `equals` matches when the value is one of the selections.
+const conditionSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  operator: {
+    type: String,
+    enum: ['equals', 'notEquals', 'in', 'notIn', 'answered'],
+    default: 'equals'
+  },
+  value: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// Pages and questions are shown only when every `showWhen` condition holds
+const pageSchema = new mongoose.Schema({
+  index: { type: Number, required: true, min: 0 },
+  key: { type: String, required: true },
+  title: { type: String, default: '' },
+  showWhen: [conditionSchema]
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  type: {
+    type: String,
+    enum: Object.values(QUESTION_TYPES),
+    required: true
+  },
+  label: { type: String, default: '' },
+  page: { type: Number, required: true, min: 0 },
+  options: [optionSchema],
+  // Name of a CatalogueEntry catalogue supplying the options; `options` then
+  // only serves as the seed list and fallback
+  catalogue: { type: String },
+  required: { type: Boolean, default: false },
+  // Makes the question required only while the condition holds
+  requiredWhen: { type: conditionSchema, default: undefined },
+  showWhen: [conditionSchema],
+  // Where answers are counted on Analytics documents, e.g. 'demographics.gender'.
+  // Boolean questions count into `trueKey`/`falseKey` under the path instead.
+  analytics: {
+    path: { type: String },
+    trueKey: { type: String },
+    falseKey: { type: String }
+  }
+}, { _id: false });
+
+const surveyDefinitionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'retired'],
+    default: 'draft',
+    index: true
+  },
+  pages: [pageSchema],
+  questions: [questionSchema],
+  // Labels in other locales, keyed by locale:
+  // { ur: { pages: { <pageKey>: title }, questions: { <key>: { label, options: { <value>: label } } } } }
+  translations: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  publishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Structural checks that mongoose validators cannot express per-field
+surveyDefinitionSchema.pre('validate', function(next) {
+  const pageIndexes = new Set(this.pages.map(page => page.index));
+  const questionKeys = new Set(this.questions.map(question => question.key));
+  const seenKeys = new Set();
+
+  Object.keys(this.translations || {}).forEach(locale => {
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      this.invalidate(`translations.${locale}`, `Unsupported locale: ${locale}`);
+    }
+  });
+
+  this.pages.forEach((page, i) => {
+    (page.showWhen || []).forEach((condition, j) => {
+      if (!questionKeys.has(condition.field)) {
+        this.invalidate(`pages.${i}.showWhen.${j}.field`, `Page ${page.key} depends on unknown question ${condition.field}`);
+      }
+    });
+  });
+
+  this.questions.forEach((question, i) => {
+    if (seenKeys.has(question.key)) {
+      this.invalidate(`questions.${i}.key`, `Duplicate question key: ${question.key}`);
+    }
+    seenKeys.add(question.key);
+
+    if (!pageIndexes.has(question.page)) {
+      this.invalidate(`questions.${i}.page`, `Question ${question.key} references unknown page ${question.page}`);
+    }
+
+    if (question.requiredWhen && !questionKeys.has(question.requiredWhen.field)) {
+      this.invalidate(`questions.${i}.requiredWhen.field`, `Question ${question.key} depends on unknown question ${question.requiredWhen.field}`);
+    }
+
+    (question.showWhen || []).forEach((condition, j) => {
+      if (!questionKeys.has(condition.field)) {
+        this.invalidate(`questions.${i}.showWhen.${j}.field`, `Question ${question.key} depends on unknown question ${condition.field}`);
+      }
+    });
+
+    const analyticsPath = question.analytics && question.analytics.path;
+    if (analyticsPath && !ANALYTICS_SECTIONS.includes(analyticsPath.split('.')[0])) {
+      this.invalidate(`questions.${i}.analytics.path`, `Unknown analytics section for ${question.key}: ${analyticsPath}`);
+    }
+  });
+
+  next();
+});
+
+// Methods
+surveyDefinitionSchema.methods.getQuestion = function(key) {
+  if (!this.$locals.questionMap) {
+    this.$locals.questionMap = new Map(this.questions.map(question => [question.key, question]));
+  }
+  return this.$locals.questionMap.get(key);
+};
+
+surveyDefinitionSchema.methods.isArrayQuestion = function(question) {
+  return ARRAY_QUESTION_TYPES.includes(question.type);
+};
+
+// Options for a question; catalogue-backed questions use the entries attached by
+// CatalogueService.applyCatalogues, falling back to the inline list
+surveyDefinitionSchema.methods.getOptions = function(question) {
+  if (question.catalogue && this.$locals.catalogueOptions) {
+    const entries = this.$locals.catalogueOptions.get(question.catalogue);
+    if (entries && entries.length > 0) {
+      return entries;
+    }
+  }
+  return question.options;
+};
+
+// Option matching a value by value, label, translated label or alias (loosely), or null
+surveyDefinitionSchema.methods.findOption = function(question, value) {
+  const wanted = canonicalize(value);
+  return this.getOptions(question).find(option =>
+    canonicalize(option.value) === wanted ||
+    this.getOptionLabels(question, option).some(label => canonicalize(label) === wanted) ||
+    (option.aliases || []).some(alias => canonicalize(alias) === wanted)
+  ) || null;
+};
+
+// Translations for one locale, or null for the default locale and unknown locales
+surveyDefinitionSchema.methods.getTranslations = function(locale) {
+  if (!locale || locale === DEFAULT_LOCALE || !this.translations) {
+    return null;
+  }
+  return this.translations[locale] || null;
+};
+
+surveyDefinitionSchema.methods.getPageTitle = function(page, locale) {
+  const translations = this.getTranslations(locale);
+  return (translations && translations.pages && translations.pages[page.key]) || page.title;
+};
+
+surveyDefinitionSchema.methods.getQuestionLabel = function(question, locale) {
+  const translations = this.getTranslations(locale);
+  const translated = translations && translations.questions && translations.questions[question.key];
+  return (translated && translated.label) || question.label;
+};
+
+// Catalogue entries carry their own translations; inline options are translated
+// on the definition
+surveyDefinitionSchema.methods.getOptionLabel = function(question, option, locale) {
+  if (locale && locale !== DEFAULT_LOCALE) {
+    if (option.translations && option.translations[locale]) {
+      return option.translations[locale];
+    }
+    const translations = this.getTranslations(locale);
+    const translated = translations && translations.questions && translations.questions[question.key];
+    if (translated && translated.options && translated.options[option.value]) {
+      return translated.options[option.value];
+    }
+  }
+  return option.label;
+};
+
+// Labels of an option in every supported locale
+surveyDefinitionSchema.methods.getOptionLabels = function(question, option) {
+  const labels = SUPPORTED_LOCALES.map(locale => this.getOptionLabel(question, option, locale));
+  return [...new Set(labels.filter(Boolean))];
+};
+
+surveyDefinitionSchema.methods.getCatalogueNames = function() {
+  return [...new Set(this.questions.filter(question => question.catalogue).map(question => question.catalogue))];
+};
+
+surveyDefinitionSchema.methods.getQuestionKeys = function() {
+  return this.questions.map(question => question.key);
+};
+
+surveyDefinitionSchema.methods.getPage = function(index) {
+  return this.pages.find(page => page.index === index);
+};
+
+surveyDefinitionSchema.methods.getPageQuestions = function(index) {
+  return this.questions.filter(question => question.page === index);
+};
+
+// Whether an answer set holds a non-blank answer for a question
+surveyDefinitionSchema.methods.isAnswered = function(question, answers) {
+  const value = answers[question.key];
+
+  if (question.type === QUESTION_TYPES.BOOLEAN) {
+    return value !== undefined && value !== null;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value !== undefined && value !== null && String(value).trim() !== '';
+};
+
+surveyDefinitionSchema.methods.evaluateCondition = function(condition, answers) {
+  const answer = answers[condition.field];
+  const values = Array.isArray(answer)
+    ? answer.map(item => (item && typeof item === 'object' ? item.value : item))
+    : [answer];
+  const expected = Array.isArray(condition.value) ? condition.value : [condition.value];
+
+  switch (condition.operator) {
+    case 'notEquals':
+      return !values.some(value => value === condition.value);
+    case 'in':
+      return values.some(value => expected.includes(value));
+    case 'notIn':
+      return !values.some(value => expected.includes(value));
+    case 'answered': {
+      const question = this.getQuestion(condition.field);
+      return Boolean(question) && this.isAnswered(question, answers) === (condition.value !== false);
+    }
+    case 'equals':
+    default:
+      return values.some(value => value === condition.value);
+  }
+};
+
+surveyDefinitionSchema.methods.isPageVisible = function(page, answers) {
+  return (page.showWhen || []).every(condition => this.evaluateCondition(condition, answers));
+};
+
+surveyDefinitionSchema.methods.isQuestionVisible = function(question, answers) {
+  const page = this.getPage(question.page);
+  return Boolean(page) &&
+    this.isPageVisible(page, answers) &&
+    (question.showWhen || []).every(condition => this.evaluateCondition(condition, answers));
+};
+
+// Page indexes a respondent with these answers walks through, in order
+surveyDefinitionSchema.methods.getPagePath = function(answers) {
+  return this.pages
+    .filter(page => this.isPageVisible(page, answers))
+    .map(page => page.index)
+    .sort((a, b) => a - b);
+};
+
+// Next page to show after `currentIndex`, or null when the survey is finished
+surveyDefinitionSchema.methods.getNextPage = function(currentIndex, answers) {
+  const next = this.getPagePath(answers).find(index => index > currentIndex);
+  return next === undefined ? null : next;
+};
+
+// Blank out answers to questions the respondent's path skips
+surveyDefinitionSchema.methods.discardHiddenAnswers = function(answers) {
+  const emptyAnswers = this.buildEmptyAnswers();
+  const result = { ...answers };
+
+  for (const question of this.questions) {
+    if (question.key in result && !this.isQuestionVisible(question, answers)) {
+      result[question.key] = emptyAnswers[question.key];
+    }
+  }
+
+  return result;
+};
+
+surveyDefinitionSchema.methods.isRequired = function(question, answers) {
+  if (!this.isQuestionVisible(question, answers)) {
+    return false;
+  }
+
+  if (question.requiredWhen && question.requiredWhen.field) {
+    return this.evaluateCondition(question.requiredWhen, answers);
+  }
+  return question.required;
+};
+
+// Required questions without an answer, optionally limited to one page
+surveyDefinitionSchema.methods.findMissingAnswers = function(answers, pageIndex) {
+  const questions = pageIndex === undefined ? this.questions : this.getPageQuestions(pageIndex);
+
+  return questions
+    .filter(question => this.isRequired(question, answers) && !this.isAnswered(question, answers))
+    .map(question => ({
+      field: question.key,
+      code: 'required',
+      page: question.page,
+      message: `${question.label || question.key} is required`
+    }));
+};
+
+// Blank answer set used to initialise new sessions
+surveyDefinitionSchema.methods.buildEmptyAnswers = function() {
+  const answers = {};
+  for (const question of this.questions) {
+    if (this.isArrayQuestion(question)) {
+      answers[question.key] = [];
+    } else if (question.type === QUESTION_TYPES.BOOLEAN) {
+      answers[question.key] = false;
+    } else {
+      answers[question.key] = '';
+    }
+  }
+  return answers;
+};
+
+// Whitelist and normalize input fields against the question set
+surveyDefinitionSchema.methods.sanitizeAnswers = function(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const sanitized = {};
+
+  for (const key of Object.keys(body)) {
+    const question = this.getQuestion(key);
+    if (!question) continue;
+
+    const value = body[key];
+    if (question.type === QUESTION_TYPES.RANKING) {
+      sanitized[key] = this.sanitizeRanking(value);
+    } else if (this.isArrayQuestion(question)) {
+      if (Array.isArray(value)) {
+        sanitized[key] = value.filter(v => v != null).map(v => String(v));
+      } else if (value != null && value !== '') {
+        sanitized[key] = [String(value)];
+      } else {
+        sanitized[key] = [];
+      }
+    } else if (question.type === QUESTION_TYPES.BOOLEAN) {
+      sanitized[key] = typeof value === 'string'
+        ? !FALSE_STRINGS.includes(value.trim().toLowerCase())
+        : Boolean(value);
+    } else {
+      sanitized[key] = value == null ? '' : String(value);
+    }
+  }
+
+  return sanitized;
+};
+
+// Ranking answers as [{ value, rank }] sorted by rank. Accepts explicit ranks
+// ([{ value, rank }]) or an ordered list of values (rank = position + 1).
+// Rank validity is checked by AnswerValidationService.
+surveyDefinitionSchema.methods.sanitizeRanking = function(input) {
+  let items = [];
+  if (Array.isArray(input)) {
+    items = input;
+  } else if (input != null && input !== '') {
+    items = [input];
+  }
+
+  return items
+    .filter(item => item != null && item !== '')
+    .map((item, index) => (typeof item === 'object'
+      ? { value: String(item.value != null ? item.value : ''), rank: Number(item.rank) }
+      : { value: String(item), rank: index + 1 }))
+    .sort((a, b) => a.rank - b.rank);
+};
+
+// Ranking of a stored answer as [{ value, rank }] using option values. Handles
+// legacy answers stored as an ordered string array; unknown items are dropped.
+surveyDefinitionSchema.methods.getRanking = function(question, answer) {
+  if (!Array.isArray(answer)) {
+    return [];
+  }
+
+  const hasOptions = this.getOptions(question).length > 0;
+  return answer
+    .map((item, index) => (item && typeof item === 'object'
+      ? { value: item.value, rank: Number(item.rank) }
+      : { value: item, rank: index + 1 }))
+    .map(item => {
+      const option = hasOptions && item.value ? this.findOption(question, item.value) : null;
+      return { value: hasOptions ? (option && option.value) : item.value, rank: item.rank };
+    })
+    .filter(item => item.value && Number.isInteger(item.rank) && item.rank > 0);
+};
+
+// Zeroed counter sections for Analytics documents, keyed by section name
+surveyDefinitionSchema.methods.buildEmptyCounters = function() {
+  const counters = {};
+  ANALYTICS_SECTIONS.forEach(section => {
+    counters[section] = {};
+  });
+
+  for (const question of this.questions) {
+    if (!question.analytics || !question.analytics.path) continue;
+
+    const bucket = question.analytics.path.split('.').reduce((node, segment) => {
+      node[segment] = node[segment] || {};
+      return node[segment];
+    }, counters);
+
+    if (question.type === QUESTION_TYPES.BOOLEAN) {
+      bucket[question.analytics.trueKey] = 0;
+      bucket[question.analytics.falseKey] = 0;
+    } else if (question.type === QUESTION_TYPES.RANKING) {
+      this.getOptions(question).forEach(option => {
+        bucket[option.value] = { bordaScore: 0, rankSum: 0, responses: 0, firstChoice: 0, averageRank: null };
+      });
+    } else {
+      this.getOptions(question).forEach(option => {
+        bucket[option.value] = 0;
+      });
+    }
+  }
+
+  return counters;
+};
+
+// Counter increments ({ path: segment array, amount }) for a single survey's
+// answers (keyed by question key).
+// Ranking questions add Borda points (n - rank + 1 for n ranked items), the rank
+// itself (for average rank), a response count and first-choice count per item.
+surveyDefinitionSchema.methods.getCounterIncrements = function(answers) {
+  const increments = [];
+  const add = (path, amount = 1) => increments.push({ path, amount });
+
+  for (const question of this.questions) {
+    if (!question.analytics || !question.analytics.path) continue;
+
+    const basePath = question.analytics.path.split('.');
+    const value = answers[question.key];
+
+    // Answers are bucketed by option value, so display names and aliases on
+    // legacy answers land in the same bucket. Values outside the option list are
+    // not counted, so they cannot create ad-hoc counter keys.
+    const hasOptions = this.getOptions(question).length > 0;
+    const bucketKey = (item) => {
+      if (!hasOptions) return item;
+      const option = this.findOption(question, item);
+      return option ? option.value : null;
+    };
+
+    if (question.type === QUESTION_TYPES.BOOLEAN) {
+      const key = value ? question.analytics.trueKey : question.analytics.falseKey;
+      add([...basePath, key]);
+    } else if (question.type === QUESTION_TYPES.RANKING) {
+      const ranking = this.getRanking(question, value);
+      ranking.forEach(({ value: item, rank }) => {
+        add([...basePath, item, 'bordaScore'], ranking.length - rank + 1);
+        add([...basePath, item, 'rankSum'], rank);
+        add([...basePath, item, 'responses']);
+        if (rank === 1) add([...basePath, item, 'firstChoice']);
+      });
+    } else if (this.isArrayQuestion(question)) {
+      if (Array.isArray(value)) {
+        const keys = new Set(value.filter(Boolean).map(bucketKey).filter(Boolean));
+        keys.forEach(key => add([...basePath, key]));
+      }
+    } else if (value) {
+      const key = bucketKey(value);
+      if (key) add([...basePath, key]);
+    }
+  }
+
+  return increments;
+};
+
+// Apply a survey's counter increments to an Analytics document (or plain object)
+surveyDefinitionSchema.methods.countAnswers = function(target, answers) {
+  for (const { path, amount } of this.getCounterIncrements(answers)) {
+    const key = path[path.length - 1];
+    const bucket = path.slice(0, -1).reduce((node, segment) => {
+      if (node[segment] == null) node[segment] = {};
+      return node[segment];
+    }, target);
+    bucket[key] = (bucket[key] || 0) + amount;
+  }
+  this.updateAverageRanks(target);
+};
+
+// Recompute averageRank from rankSum / responses in ranking counters
+surveyDefinitionSchema.methods.updateAverageRanks = function(target) {
+  for (const question of this.questions) {
+    if (question.type !== QUESTION_TYPES.RANKING || !question.analytics || !question.analytics.path) continue;
+
+    const bucket = question.analytics.path.split('.').reduce((node, segment) => (node ? node[segment] : null), target);
+    if (!bucket) continue;
+
+    Object.values(bucket).forEach(stats => {
+      if (stats && typeof stats === 'object') {
+        stats.averageRank = stats.responses > 0 ? Math.round((stats.rankSum / stats.responses) * 100) / 100 : null;
+      }
+    });
+  }
+};
+
+// Static methods
+surveyDefinitionSchema.statics.findActive = function() {
+  return this.findOne({ status: 'active' }).sort({ version: -1 });
+};
+
+surveyDefinitionSchema.statics.findByVersion = function(version) {
+  return this.findOne({ version });
+};
+
+surveyDefinitionSchema.statics.getLatestVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return latest ? latest.version : 0;
+};
+
+module.exports = mongoose.model('SurveyDefinition', surveyDefinitionSchema);
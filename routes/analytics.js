@@ -1,16 +1,57 @@
 const express = require('express');
 const router = express.Router();
 const AnalyticsService = require('../services/analyticsService');
-const Survey = require('../models/Survey');
+const CampaignService = require('../services/campaignService');
+const SurveyDefinitionService = require('../services/surveyDefinitionService');
 const { analyticsCacheMiddleware } = require('../middleware/cache');
+const { campaignScope } = require('../middleware/campaign');
+const { segmentScope } = require('../middleware/segment');
+const { requireAuth, requireRole } = require('../middleware/authentication');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { QUESTION_TYPES } = require('../config/surveyDefinition');
+
+const requireAdmin = [requireAuth, requireRole(['admin'])];
+
+// Campaign the request is scoped to (see campaignScope), or null for all surveys
+const campaignIdOf = (req) => (req.campaign ? req.campaign._id : null);
+
+// Responses the request covers: its campaign's and, with ?segment=, only the
+// segment's respondents (see segmentScope)
+const responseScopeOf = (req) => ({
+  ...CampaignService.scopeFilter(campaignIdOf(req)),
+  ...(req.segment && { $and: [req.segment.filter] })
+});
+
+// Date of a period query (?date=, default now), or null when it is not a valid date
+const periodDateOf = (req) => {
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+  return isNaN(date) ? null : date;
+};
+
+const invalidDate = (res) => res.status(400).json({
+  success: false,
+  code: 'invalid_date',
+  message: 'date must be a valid date'
+});
+
+// Whether abandoned sessions' partial responses are counted too (?includePartials=true)
+const includePartialsOf = (req) => req.query.includePartials === 'true';
 
 // @route   GET /api/analytics/daily
 // @desc    Get daily analytics
 // @access  Public
-router.get('/daily', analyticsCacheMiddleware, async (req, res) => {
+router.get('/daily', campaignScope, segmentScope, analyticsCacheMiddleware, async (req, res) => {
   try {
-    const date = req.query.date ? new Date(req.query.date) : new Date();
-    const analytics = await AnalyticsService.getAggregatedStats(date, 'daily');
+    const date = periodDateOf(req);
+    if (!date) {
+      return invalidDate(res);
+    }
+    
+    // Stored analytics count submitted surveys only, so segments and partials are
+    // counted on the fly
+    const analytics = req.segment || includePartialsOf(req)
+      ? (await AnalyticsService.getSegmentAnalytics(date, date, 'daily', responseScopeOf(req), campaignIdOf(req), includePartialsOf(req)))[0]
+      : await AnalyticsService.getAggregatedStats(date, 'daily', campaignIdOf(req));
     
     res.json({
       success: true,
@@ -30,10 +71,16 @@ router.get('/daily', analyticsCacheMiddleware, async (req, res) => {
 // @route   GET /api/analytics/weekly
 // @desc    Get weekly analytics
 // @access  Public
-router.get('/weekly', analyticsCacheMiddleware, async (req, res) => {
+router.get('/weekly', campaignScope, segmentScope, analyticsCacheMiddleware, async (req, res) => {
   try {
-    const date = req.query.date ? new Date(req.query.date) : new Date();
-    const analytics = await AnalyticsService.getAggregatedStats(date, 'weekly');
+    const date = periodDateOf(req);
+    if (!date) {
+      return invalidDate(res);
+    }
+    
+    const analytics = req.segment || includePartialsOf(req)
+      ? (await AnalyticsService.getSegmentAnalytics(date, date, 'weekly', responseScopeOf(req), campaignIdOf(req), includePartialsOf(req)))[0]
+      : await AnalyticsService.getAggregatedStats(date, 'weekly', campaignIdOf(req));
     
     res.json({
       success: true,
@@ -53,10 +100,16 @@ router.get('/weekly', analyticsCacheMiddleware, async (req, res) => {
 // @route   GET /api/analytics/monthly
 // @desc    Get monthly analytics
 // @access  Public
-router.get('/monthly', analyticsCacheMiddleware, async (req, res) => {
+router.get('/monthly', campaignScope, segmentScope, analyticsCacheMiddleware, async (req, res) => {
   try {
-    const date = req.query.date ? new Date(req.query.date) : new Date();
-    const analytics = await AnalyticsService.getAggregatedStats(date, 'monthly');
+    const date = periodDateOf(req);
+    if (!date) {
+      return invalidDate(res);
+    }
+    
+    const analytics = req.segment || includePartialsOf(req)
+      ? (await AnalyticsService.getSegmentAnalytics(date, date, 'monthly', responseScopeOf(req), campaignIdOf(req), includePartialsOf(req)))[0]
+      : await AnalyticsService.getAggregatedStats(date, 'monthly', campaignIdOf(req));
     
     res.json({
       success: true,
@@ -76,12 +129,28 @@ router.get('/monthly', analyticsCacheMiddleware, async (req, res) => {
 // @route   GET /api/analytics/trends
 // @desc    Get trend data
 // @access  Public
-router.get('/trends', async (req, res) => {
+router.get('/trends', campaignScope, segmentScope, async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
     const type = req.query.type || 'daily';
     
-    const trends = await AnalyticsService.getTrendData(days, type);
+    if (!AnalyticsService.ANALYTICS_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_type',
+        message: 'type must be daily, weekly or monthly'
+      });
+    }
+    
+    // Segments and partials are not stored per period, so their trends are computed from the responses
+    let trends;
+    if (req.segment || includePartialsOf(req)) {
+      const endDate = new Date();
+      const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
+      trends = await AnalyticsService.getSegmentAnalytics(startDate, endDate, type, responseScopeOf(req), campaignIdOf(req), includePartialsOf(req));
+    } else {
+      trends = await AnalyticsService.getTrendData(days, type, campaignIdOf(req));
+    }
     
     res.json({
       success: true,
@@ -98,14 +167,60 @@ router.get('/trends', async (req, res) => {
   }
 });
 
-// @route   POST /api/analytics/generate
-// @desc    Generate analytics for a specific period
+// @route   GET /api/analytics/range
+// @desc    Get analytics for any range (?from=&to=, to defaults to now) with a
+//          series by ?granularity=hour|day|week|month (default day)
 // @access  Public
-router.post('/generate', async (req, res) => {
+router.get('/range', campaignScope, segmentScope, analyticsCacheMiddleware, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    
+    if (!from || isNaN(from) || isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_date',
+        message: 'from is required; from and to must be valid dates'
+      });
+    }
+    
+    const stats = await AnalyticsService.getRangeStats(from, to, req.query.granularity || 'day', {
+      campaignId: campaignIdOf(req),
+      filter: req.segment ? responseScopeOf(req) : null,
+      includePartials: includePartialsOf(req)
+    });
+    if (stats.error) {
+      return res.status(stats.error.status).json({
+        success: false,
+        code: stats.error.code,
+        message: stats.error.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: stats
+    });
+    
+  } catch (error) {
+    console.error('Range analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get range analytics',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/analytics/generate
+// @desc    Start generating analytics for a specific period; the generation runs
+//          in the background (see AnalyticsService.startRebuild)
+// @access  Admin
+router.post('/generate', requireAdmin, campaignScope, async (req, res) => {
   try {
     const { type, date } = req.body;
     
-    if (!type || !['daily', 'weekly', 'monthly'].includes(type)) {
+    if (!type || !AnalyticsService.ANALYTICS_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid analytics type. Must be daily, weekly, or monthly'
@@ -113,24 +228,23 @@ router.post('/generate', async (req, res) => {
     }
     
     const targetDate = date ? new Date(date) : new Date();
-    let analytics;
-    
-    switch (type) {
-      case 'daily':
-        analytics = await AnalyticsService.generateDailyAnalytics(targetDate);
-        break;
-      case 'weekly':
-        analytics = await AnalyticsService.generateWeeklyAnalytics(targetDate);
-        break;
-      case 'monthly':
-        analytics = await AnalyticsService.generateMonthlyAnalytics(targetDate);
-        break;
+    if (isNaN(targetDate)) {
+      return invalidDate(res);
     }
     
-    res.json({
+    const result = await AnalyticsService.startRebuild([type], targetDate, targetDate, campaignIdOf(req));
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    res.status(202).json({
       success: true,
-      message: `${type} analytics generated successfully`,
-      data: analytics
+      message: `${type} analytics generation started`,
+      data: result.periods
     });
     
   } catch (error) {
@@ -143,13 +257,114 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+// @route   POST /api/analytics/rebuild
+// @desc    Start rebuilding stored analytics from the surveys for every period of
+//          the given types ({ types: ['daily', ...], from, to }) to repair
+//          incremental counts; the rebuild runs in the background
+// @access  Admin
+router.post('/rebuild', requireAdmin, campaignScope, async (req, res) => {
+  try {
+    const types = req.body.types || AnalyticsService.ANALYTICS_TYPES;
+    const from = req.body.from ? new Date(req.body.from) : new Date();
+    const to = req.body.to ? new Date(req.body.to) : from;
+    
+    if (!Array.isArray(types) || types.length === 0 || types.some(type => !AnalyticsService.ANALYTICS_TYPES.includes(type))) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_type',
+        message: 'types must list daily, weekly or monthly'
+      });
+    }
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_date',
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    const result = await AnalyticsService.startRebuild(types, from, to, campaignIdOf(req));
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+    
+    console.log(`🔧 Rebuilding ${result.periods.length} analytics periods`);
+    
+    res.status(202).json({
+      success: true,
+      message: `Rebuilding ${result.periods.length} analytics periods`,
+      data: result.periods
+    });
+    
+  } catch (error) {
+    console.error('Analytics rebuild error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rebuild analytics',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/consistency
+// @desc    Compare the incrementally updated analytics of a period (?type=&date=)
+//          with a rebuild from the surveys
+// @access  Admin
+router.get('/consistency', requireAdmin, campaignScope, async (req, res) => {
+  try {
+    const type = req.query.type || 'daily';
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    
+    if (!AnalyticsService.ANALYTICS_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_type',
+        message: 'type must be daily, weekly or monthly'
+      });
+    }
+    if (isNaN(date)) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_date',
+        message: 'date must be a valid date'
+      });
+    }
+    
+    const report = await AnalyticsService.checkConsistency(type, date, campaignIdOf(req));
+    
+    if (!report.consistent) {
+      console.warn(`⚠️ ${type} analytics for ${report.date.toISOString().split('T')[0]} differ from a rebuild in ${report.differences.length} counters`);
+    }
+    
+    res.json({
+      success: true,
+      data: report
+    });
+    
+  } catch (error) {
+    console.error('Analytics consistency check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check analytics consistency',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/analytics/overview
 // @desc    Get overview statistics
 // @access  Public
-router.get('/overview', async (req, res) => {
+router.get('/overview', campaignScope, segmentScope, async (req, res) => {
   try {
+    const scope = responseScopeOf(req);
+    const includePartials = includePartialsOf(req);
+    
     // Get total surveys
-    const totalSurveys = await Survey.countDocuments();
+    const totalSurveys = await AnalyticsService.countResponses(scope, includePartials);
     
     // Get today's surveys
     const today = new Date();
@@ -157,43 +372,58 @@ router.get('/overview', async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
     
-    const todaySurveys = await Survey.countDocuments({
+    const todaySurveys = await AnalyticsService.countResponses({
+      ...scope,
       submittedAt: { $gte: today, $lt: tomorrow }
-    });
+    }, includePartials);
     
     // Get this week's surveys
     const startOfWeek = new Date(today);
     startOfWeek.setDate(today.getDate() - today.getDay());
     
-    const thisWeekSurveys = await Survey.countDocuments({
+    const thisWeekSurveys = await AnalyticsService.countResponses({
+      ...scope,
       submittedAt: { $gte: startOfWeek }
-    });
+    }, includePartials);
     
     // Get this month's surveys
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
     
-    const thisMonthSurveys = await Survey.countDocuments({
+    const thisMonthSurveys = await AnalyticsService.countResponses({
+      ...scope,
       submittedAt: { $gte: startOfMonth }
-    });
+    }, includePartials);
     
     // Get ambassador interest
-    const ambassadorInterest = await Survey.countDocuments({
-      interestedInAmbassador: true
-    });
+    const ambassadorInterest = await AnalyticsService.countResponses({
+      ...scope,
+      'answers.interestedInAmbassador': true
+    }, includePartials);
     
     // Get top universities
-    const topUniversities = await Survey.aggregate([
-      { $group: { _id: '$university', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 5 }
-    ]);
+    const universityRows = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $group: { _id: '$answers.university', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ], includePartials);
     
     // Get top phone brands
-    const topPhoneBrands = await Survey.aggregate([
-      { $group: { _id: '$currentPhoneBrand', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 5 }
-    ]);
+    const phoneBrandRows = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $group: { _id: '$answers.currentPhoneBrand', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ], includePartials);
+    
+    // Bucket by catalogue entry before taking the top five
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    const topUniversities = AnalyticsService.bucketRows(definition, 'university', universityRows).slice(0, 5);
+    const topPhoneBrands = AnalyticsService.bucketRows(definition, 'currentPhoneBrand', phoneBrandRows).slice(0, 5);
+    
+    // Borda / average-rank statistics for ranking questions (e.g. phoneFeaturesRanking)
+    const rankings = {};
+    for (const question of definition.questions.filter(item => item.type === QUESTION_TYPES.RANKING)) {
+      rankings[question.key] = await AnalyticsService.getRankingStats(definition, question, scope, includePartials);
+    }
     
     res.json({
       success: true,
@@ -204,7 +434,8 @@ router.get('/overview', async (req, res) => {
         thisMonthSurveys,
         ambassadorInterest,
         topUniversities,
-        topPhoneBrands
+        topPhoneBrands,
+        rankings
       }
     });
     
@@ -221,51 +452,54 @@ router.get('/overview', async (req, res) => {
 // @route   GET /api/analytics/demographics
 // @desc    Get demographic breakdown
 // @access  Public
-router.get('/demographics', async (req, res) => {
+router.get('/demographics', campaignScope, segmentScope, async (req, res) => {
   try {
     const { university, fieldOfStudy, yearOfStudy } = req.query;
+    const includePartials = includePartialsOf(req);
+    
+    const definition = await SurveyDefinitionService.getActiveDefinition();
     
-    // Build match criteria
-    const matchCriteria = {};
-    if (university) matchCriteria.university = university;
-    if (fieldOfStudy) matchCriteria.fieldOfStudy = fieldOfStudy;
-    if (yearOfStudy) matchCriteria.yearOfStudy = yearOfStudy;
+    // Build match criteria; filters also match display names and aliases of the entry
+    const matchCriteria = responseScopeOf(req);
+    if (university) matchCriteria['answers.university'] = { $in: AnalyticsService.answerVariants(definition, 'university', university) };
+    if (fieldOfStudy) matchCriteria['answers.fieldOfStudy'] = { $in: AnalyticsService.answerVariants(definition, 'fieldOfStudy', fieldOfStudy) };
+    if (yearOfStudy) matchCriteria['answers.yearOfStudy'] = { $in: AnalyticsService.answerVariants(definition, 'yearOfStudy', yearOfStudy) };
     
     // Get gender breakdown
-    const genderBreakdown = await Survey.aggregate([
+    const genderBreakdown = await AnalyticsService.aggregateResponses([
       { $match: matchCriteria },
-      { $group: { _id: '$gender', count: { $sum: 1 } } },
+      { $group: { _id: '$answers.gender', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
     
     // Get year of study breakdown
-    const yearBreakdown = await Survey.aggregate([
+    const yearBreakdown = await AnalyticsService.aggregateResponses([
       { $match: matchCriteria },
-      { $group: { _id: '$yearOfStudy', count: { $sum: 1 } } },
+      { $group: { _id: '$answers.yearOfStudy', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
     
     // Get field of study breakdown
-    const fieldBreakdown = await Survey.aggregate([
+    const fieldBreakdown = await AnalyticsService.aggregateResponses([
       { $match: matchCriteria },
-      { $group: { _id: '$fieldOfStudy', count: { $sum: 1 } } },
+      { $group: { _id: '$answers.fieldOfStudy', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
     
     // Get university breakdown
-    const universityBreakdown = await Survey.aggregate([
+    const universityBreakdown = await AnalyticsService.aggregateResponses([
       { $match: matchCriteria },
-      { $group: { _id: '$university', count: { $sum: 1 } } },
+      { $group: { _id: '$answers.university', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
     
     res.json({
       success: true,
       data: {
-        gender: genderBreakdown,
-        yearOfStudy: yearBreakdown,
-        fieldOfStudy: fieldBreakdown,
-        university: universityBreakdown
+        gender: AnalyticsService.bucketRows(definition, 'gender', genderBreakdown),
+        yearOfStudy: AnalyticsService.bucketRows(definition, 'yearOfStudy', yearBreakdown),
+        fieldOfStudy: AnalyticsService.bucketRows(definition, 'fieldOfStudy', fieldBreakdown),
+        university: AnalyticsService.bucketRows(definition, 'university', universityBreakdown)
       }
     });
     
@@ -282,41 +516,49 @@ router.get('/demographics', async (req, res) => {
 // @route   GET /api/analytics/phone-usage
 // @desc    Get phone usage analytics
 // @access  Public
-router.get('/phone-usage', async (req, res) => {
+router.get('/phone-usage', campaignScope, segmentScope, async (req, res) => {
   try {
+    const scope = responseScopeOf(req);
+    const includePartials = includePartialsOf(req);
+    
     // Get phone brand breakdown
-    const phoneBrands = await Survey.aggregate([
-      { $group: { _id: '$currentPhoneBrand', count: { $sum: 1 } } },
+    const phoneBrands = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $group: { _id: '$answers.currentPhoneBrand', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
     
     // Get phone change frequency
-    const changeFrequency = await Survey.aggregate([
-      { $group: { _id: '$phoneChangeFrequency', count: { $sum: 1 } } },
+    const changeFrequency = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $group: { _id: '$answers.phoneChangeFrequency', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
     
     // Get top phone functions
-    const topFunctions = await Survey.aggregate([
-      { $unwind: '$topPhoneFunctions' },
-      { $group: { _id: '$topPhoneFunctions', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 10 }
-    ]);
+    const topFunctions = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $unwind: '$answers.topPhoneFunctions' },
+      { $group: { _id: '$answers.topPhoneFunctions', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ], includePartials);
     
     // Get TECNO experience
-    const tecnoExperience = await Survey.aggregate([
-      { $group: { _id: '$tecnoExperience', count: { $sum: 1 } } },
+    const tecnoExperience = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $group: { _id: '$answers.tecnoExperience', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
+    
+    const definition = await SurveyDefinitionService.getActiveDefinition();
     
     res.json({
       success: true,
       data: {
-        phoneBrands,
-        changeFrequency,
-        topFunctions,
-        tecnoExperience
+        phoneBrands: AnalyticsService.bucketRows(definition, 'currentPhoneBrand', phoneBrands),
+        changeFrequency: AnalyticsService.bucketRows(definition, 'phoneChangeFrequency', changeFrequency),
+        topFunctions: AnalyticsService.bucketRows(definition, 'topPhoneFunctions', topFunctions).slice(0, 10),
+        tecnoExperience: AnalyticsService.bucketRows(definition, 'tecnoExperience', tecnoExperience)
       }
     });
     
@@ -333,33 +575,41 @@ router.get('/phone-usage', async (req, res) => {
 // @route   GET /api/analytics/social-media
 // @desc    Get social media analytics
 // @access  Public
-router.get('/social-media', async (req, res) => {
+router.get('/social-media', campaignScope, segmentScope, async (req, res) => {
   try {
+    const scope = responseScopeOf(req);
+    const includePartials = includePartialsOf(req);
+    
     // Get social media platforms
-    const platforms = await Survey.aggregate([
-      { $unwind: '$socialMediaPlatforms' },
-      { $group: { _id: '$socialMediaPlatforms', count: { $sum: 1 } } },
+    const platforms = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $unwind: '$answers.socialMediaPlatforms' },
+      { $group: { _id: '$answers.socialMediaPlatforms', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
     
     // Get time spent on social media
-    const timeSpent = await Survey.aggregate([
-      { $group: { _id: '$timeSpentOnSocialMedia', count: { $sum: 1 } } },
+    const timeSpent = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $group: { _id: '$answers.timeSpentOnSocialMedia', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
     
     // Get tech content following
-    const techContent = await Survey.aggregate([
-      { $group: { _id: '$followsTechContent', count: { $sum: 1 } } },
+    const techContent = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $group: { _id: '$answers.followsTechContent', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
-    ]);
+    ], includePartials);
+    
+    const definition = await SurveyDefinitionService.getActiveDefinition();
     
     res.json({
       success: true,
       data: {
-        platforms,
-        timeSpent,
-        techContent
+        platforms: AnalyticsService.bucketRows(definition, 'socialMediaPlatforms', platforms),
+        timeSpent: AnalyticsService.bucketRows(definition, 'timeSpentOnSocialMedia', timeSpent),
+        techContent: AnalyticsService.bucketRows(definition, 'followsTechContent', techContent)
       }
     });
     
@@ -373,4 +623,290 @@ router.get('/social-media', async (req, res) => {
   }
 });
 
+// @route   GET /api/analytics/crosstab
+// @desc    Cross-tabulate two questions (?rows=&columns=), optionally split by a third
+//          (?layer=), with chi-square significance. Filters: ?from=&to= on submission,
+//          ?deviceType=, ?os= and ?<question>=<answer>[,<answer>...]
+// @access  Public
+router.get('/crosstab', campaignScope, segmentScope, analyticsCacheMiddleware, async (req, res) => {
+  try {
+    const { rows, columns, layer } = req.query;
+    
+    if (!rows || !columns) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_fields',
+        message: 'rows and columns questions are required'
+      });
+    }
+    
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    
+    const { filter, error: filterError } = AnalyticsService.buildSurveyFilter(definition, req.query, campaignIdOf(req));
+    if (filterError) {
+      return res.status(filterError.status).json({
+        success: false,
+        code: filterError.code,
+        message: filterError.message
+      });
+    }
+    if (req.segment) {
+      filter.$and = [req.segment.filter];
+    }
+    
+    const fields = [rows, columns, layer].filter(Boolean).map(String);
+    const crosstab = await AnalyticsService.getCrosstab(definition, fields, filter, includePartialsOf(req));
+    if (crosstab.error) {
+      return res.status(crosstab.error.status).json({
+        success: false,
+        code: crosstab.error.code,
+        message: crosstab.error.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: crosstab
+    });
+    
+  } catch (error) {
+    console.error('Crosstab analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get crosstab analytics',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/funnel
+// @desc    Get per-page reach, median time and abandonment of survey sessions
+//          (?from=&to= on session start, ?university=, ?deviceType=, ?version=)
+// @access  Public
+router.get('/funnel', campaignScope, async (req, res) => {
+  try {
+    const { from, to, university, deviceType } = req.query;
+    if (req.query.version !== undefined && !/^[1-9]\d*$/.test(req.query.version)) {
+      return res.status(400).json({
+        success: false,
+        code: 'invalid_version',
+        message: 'version must be a survey definition version number'
+      });
+    }
+    const version = req.query.version ? parseInt(req.query.version) : null;
+    
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    const definition = version
+      ? await SurveyDefinitionService.findDefinition(version)
+      : await SurveyDefinitionService.getActiveDefinition();
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey definition not found'
+      });
+    }
+    
+    const match = CampaignService.scopeFilter(campaignIdOf(req));
+    if (start || end) {
+      match['timestamps.createdAt'] = {
+        ...(start && { $gte: start }),
+        ...(end && { $lte: end })
+      };
+    }
+    if (university) match['surveyData.university'] = { $in: AnalyticsService.answerVariants(definition, 'university', university) };
+    if (deviceType) match['metadata.deviceType'] = deviceType;
+    if (version) match.definitionVersion = definition.version;
+    
+    const funnel = await AnalyticsService.getPageFunnel(definition, match);
+    
+    res.json({
+      success: true,
+      data: {
+        filters: {
+          from: start,
+          to: end,
+          university: university || null,
+          deviceType: deviceType || null,
+          version: version ? definition.version : null
+        },
+        ...funnel
+      }
+    });
+    
+  } catch (error) {
+    console.error('Funnel analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get funnel analytics',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/devices
+// @desc    Get responses by device class, OS, browser and vendor, and phone brands
+//          per OS (?from=&to= on submission, ?deviceType=)
+// @access  Public
+router.get('/devices', campaignScope, segmentScope, async (req, res) => {
+  try {
+    const { from, to, deviceType } = req.query;
+    
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    
+    const match = responseScopeOf(req);
+    if (start || end) {
+      match.submittedAt = {
+        ...(start && { $gte: start }),
+        ...(end && { $lte: end })
+      };
+    }
+    if (deviceType) match['device.type'] = deviceType;
+    
+    const breakdown = await AnalyticsService.getDeviceBreakdown(definition, match, includePartialsOf(req));
+    
+    res.json({
+      success: true,
+      data: breakdown
+    });
+    
+  } catch (error) {
+    console.error('Device analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get device analytics',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/respondents
+// @desc    Get repeat session starts and repeat submissions per anonymous respondent
+//          (?from=&to=, ?limit= repeat respondents listed)
+// @access  Admin
+router.get('/respondents', requireAdmin, campaignScope, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    const scope = CampaignService.scopeFilter(campaignIdOf(req));
+    const range = (start || end) ? {
+      ...(start && { $gte: start }),
+      ...(end && { $lte: end })
+    } : null;
+    
+    const stats = await AnalyticsService.getRespondentStats(
+      { ...scope, ...(range && { 'timestamps.createdAt': range }) },
+      { ...scope, ...(range && { submittedAt: range }) },
+      limit
+    );
+    
+    res.json({
+      success: true,
+      data: stats
+    });
+    
+  } catch (error) {
+    console.error('Respondent analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get respondent analytics',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/locales
+// @desc    Get responses per locale, optionally broken down by a question (?field=)
+// @access  Public
+router.get('/locales', campaignScope, segmentScope, async (req, res) => {
+  try {
+    const scope = responseScopeOf(req);
+    const includePartials = includePartialsOf(req);
+    const { field } = req.query;
+    
+    // Surveys submitted before locales were recorded count as the default locale
+    const localeExpression = { $ifNull: ['$locale', DEFAULT_LOCALE] };
+    
+    const locales = await AnalyticsService.aggregateResponses([
+      { $match: scope },
+      { $group: { _id: localeExpression, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ], includePartials);
+    
+    let breakdown;
+    if (field) {
+      const definition = await SurveyDefinitionService.getActiveDefinition();
+      const question = definition.getQuestion(field);
+      
+      if (!question) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown survey question: ${field}`
+        });
+      }
+      
+      const pipeline = [{ $match: scope }];
+      if (definition.isArrayQuestion(question)) {
+        pipeline.push({ $unwind: `$${field}` });
+      }
+      pipeline.push(
+        // Ranking entries are { value, rank } objects; other answers are plain values
+        { $group: { _id: { locale: localeExpression, answer: { $ifNull: [`$${field}.value`, `$${field}`] } }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      );
+      
+      const rows = await AnalyticsService.aggregateResponses(pipeline, includePartials);
+      breakdown = {};
+      locales.forEach(({ _id: locale }) => {
+        const localeRows = rows
+          .filter(row => row._id.locale === locale)
+          .map(row => ({ _id: row._id.answer, count: row.count }));
+        breakdown[locale] = AnalyticsService.bucketRows(definition, field, localeRows);
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        locales,
+        ...(breakdown && { field, breakdown })
+      }
+    });
+    
+  } catch (error) {
+    console.error('Locale analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get locale analytics',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const Campaign = require('../models/Campaign');
+const CampaignService = require('../services/campaignService');
+const { requireAuth, requireRole } = require('../middleware/authentication');
+
+const requireAdmin = [requireAuth, requireRole(['admin'])];
+
+// Fields an admin may set when creating or editing a campaign
+const EDITABLE_FIELDS = ['name', 'description', 'startDate', 'endDate', 'universities', 'targetResponses'];
+
+// Shape of a campaign as served to survey clients
+const toClientCampaign = (campaign) => ({
+  id: campaign._id,
+  name: campaign.name,
+  description: campaign.description,
+  startDate: campaign.startDate,
+  endDate: campaign.endDate,
+  universities: campaign.universities
+});
+
+// Load the :campaignId campaign or answer 404
+const loadCampaign = async (req, res, next) => {
+  try {
+    const campaign = await CampaignService.findCampaign(req.params.campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    console.error('Campaign lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get campaign',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/campaigns/open
+// @desc    List campaigns currently accepting responses
+// @access  Public
+router.get('/open', async (req, res) => {
+  try {
+    const campaigns = await Campaign.findOpenCampaigns();
+
+    res.json({
+      success: true,
+      data: campaigns.map(toClientCampaign)
+    });
+
+  } catch (error) {
+    console.error('Open campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list open campaigns',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/campaigns
+// @desc    List all campaigns
+// @access  Admin
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const campaigns = await Campaign.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: campaigns
+    });
+
+  } catch (error) {
+    console.error('Campaign list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list campaigns',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/campaigns/:campaignId
+// @desc    Get a campaign with its response progress
+// @access  Admin
+router.get('/:campaignId', requireAdmin, loadCampaign, async (req, res) => {
+  try {
+    const progress = await CampaignService.getProgress(req.campaign);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.campaign.toObject(),
+        acceptingResponses: req.campaign.isAcceptingResponses(),
+        progress
+      }
+    });
+
+  } catch (error) {
+    console.error('Campaign retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get campaign',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/campaigns
+// @desc    Create a campaign
+// @access  Admin
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const campaign = new Campaign(data);
+    await campaign.save();
+
+    console.log(`✅ Campaign created: ${campaign.name} (${campaign._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created',
+      data: campaign
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid campaign',
+        error: error.message
+      });
+    }
+
+    console.error('Campaign creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create campaign',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/campaigns/:campaignId
+// @desc    Update a campaign
+// @access  Admin
+router.put('/:campaignId', requireAdmin, loadCampaign, async (req, res) => {
+  try {
+    const campaign = req.campaign;
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) campaign[field] = req.body[field];
+    });
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Campaign updated',
+      data: campaign
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid campaign',
+        error: error.message
+      });
+    }
+
+    console.error('Campaign update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update campaign',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:campaignId/close
+// @desc    Close a campaign; new sessions and submissions are rejected
+// @access  Admin
+router.post('/:campaignId/close', requireAdmin, loadCampaign, async (req, res) => {
+  try {
+    if (req.campaign.status !== 'closed') {
+      await req.campaign.close();
+      console.log(`🔒 Campaign closed: ${req.campaign.name} (${req.campaign._id})`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign closed',
+      data: req.campaign
+    });
+
+  } catch (error) {
+    console.error('Campaign close error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close campaign',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:campaignId/reopen
+// @desc    Reopen a closed campaign
+// @access  Admin
+router.post('/:campaignId/reopen', requireAdmin, loadCampaign, async (req, res) => {
+  try {
+    req.campaign.status = 'open';
+    req.campaign.closedAt = undefined;
+    await req.campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Campaign reopened',
+      data: req.campaign
+    });
+
+  } catch (error) {
+    console.error('Campaign reopen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reopen campaign',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const CatalogueEntry = require('../models/CatalogueEntry');
+const CatalogueService = require('../services/catalogueService');
+const { requireAuth, requireRole } = require('../middleware/authentication');
+const { resolveLocale } = require('../middleware/locale');
+
+const requireAdmin = [requireAuth, requireRole(['admin'])];
+
+// Fields an admin may set on a catalogue entry
+const EDITABLE_FIELDS = ['displayName', 'translations', 'aliases', 'active', 'sortOrder'];
+
+// @route   GET /api/catalogues
+// @desc    List catalogues with entry counts
+// @access  Admin
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const catalogues = await CatalogueEntry.listCatalogues();
+
+    res.json({
+      success: true,
+      data: catalogues.map(catalogue => ({
+        name: catalogue._id,
+        entries: catalogue.entries,
+        activeEntries: catalogue.activeEntries
+      }))
+    });
+
+  } catch (error) {
+    console.error('Catalogue list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list catalogues',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/catalogues/:catalogue
+// @desc    Get the active entries of a catalogue, localized by ?lang= or Accept-Language
+// @access  Public
+router.get('/:catalogue', resolveLocale, async (req, res) => {
+  try {
+    const entries = await CatalogueEntry.findByCatalogue(req.params.catalogue);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => ({
+        value: entry.value,
+        label: (entry.translations && entry.translations[req.locale]) || entry.displayName
+      }))
+    });
+
+  } catch (error) {
+    console.error('Catalogue retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get catalogue',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/catalogues/:catalogue/entries
+// @desc    Get all entries of a catalogue, including inactive ones
+// @access  Admin
+router.get('/:catalogue/entries', requireAdmin, async (req, res) => {
+  try {
+    const entries = await CatalogueEntry.findByCatalogue(req.params.catalogue, { includeInactive: true });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+
+  } catch (error) {
+    console.error('Catalogue entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get catalogue entries',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/catalogues/:catalogue/entries
+// @desc    Add an entry to a catalogue
+// @access  Admin
+router.post('/:catalogue/entries', requireAdmin, async (req, res) => {
+  try {
+    const data = { catalogue: req.params.catalogue, value: req.body.value };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const entry = new CatalogueEntry(data);
+    await entry.save();
+    CatalogueService.clearCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Catalogue entry created',
+      data: entry
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid catalogue entry',
+        error: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Entry ${req.body.value} already exists in ${req.params.catalogue}`
+      });
+    }
+
+    console.error('Catalogue entry creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create catalogue entry',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/catalogues/:catalogue/entries/:value
+// @desc    Update a catalogue entry (display name, aliases, active flag, order)
+// @access  Admin
+router.put('/:catalogue/entries/:value', requireAdmin, async (req, res) => {
+  try {
+    const entry = await CatalogueEntry.findOne({
+      catalogue: req.params.catalogue,
+      value: req.params.value
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalogue entry not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) entry[field] = req.body[field];
+    });
+    await entry.save();
+    CatalogueService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Catalogue entry updated',
+      data: entry
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid catalogue entry',
+        error: error.message
+      });
+    }
+
+    console.error('Catalogue entry update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update catalogue entry',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/catalogues/:catalogue/entries/:value
+// @desc    Deactivate a catalogue entry; existing answers keep their bucket
+// @access  Admin
+router.delete('/:catalogue/entries/:value', requireAdmin, async (req, res) => {
+  try {
+    const entry = await CatalogueEntry.findOneAndUpdate(
+      { catalogue: req.params.catalogue, value: req.params.value },
+      { $set: { active: false } },
+      { new: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalogue entry not found'
+      });
+    }
+
+    CatalogueService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Catalogue entry deactivated',
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Catalogue entry deactivation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate catalogue entry',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,258 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Quota = require('../models/Quota');
+const QuotaService = require('../services/quotaService');
+const CampaignService = require('../services/campaignService');
+const SurveyDefinitionService = require('../services/surveyDefinitionService');
+const { requireAuth, requireRole } = require('../middleware/authentication');
+
+const requireAdmin = [requireAuth, requireRole(['admin'])];
+
+// Fields an admin may set when creating or editing a quota
+const EDITABLE_FIELDS = ['name', 'campaignId', 'conditions', 'limit', 'action', 'active'];
+
+// Quota cells must refer to questions of the active survey definition
+const validateConditions = async (conditions) => {
+  if (!conditions) return [];
+
+  if (!Array.isArray(conditions)) {
+    return ['conditions must be an array'];
+  }
+
+  const definition = await SurveyDefinitionService.getActiveDefinition();
+  return conditions
+    .filter(condition => !condition || !definition.getQuestion(condition.field))
+    .map(condition => `Unknown question: ${condition && condition.field}`);
+};
+
+// Load the :quotaId quota or answer 404
+const loadQuota = async (req, res, next) => {
+  try {
+    const quota = mongoose.Types.ObjectId.isValid(req.params.quotaId)
+      ? await Quota.findById(req.params.quotaId)
+      : null;
+
+    if (!quota) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quota not found'
+      });
+    }
+
+    req.quota = quota;
+    next();
+  } catch (error) {
+    console.error('Quota lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quota',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/quotas
+// @desc    List quotas with their progress
+// @access  Admin
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.campaignId) filter.campaignId = req.query.campaignId;
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const quotas = await Quota.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: quotas.map(quota => ({ ...quota.toProgress(), active: quota.active }))
+    });
+
+  } catch (error) {
+    console.error('Quota list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list quotas',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotas
+// @desc    Create a quota; its count starts from the responses already stored
+// @access  Admin
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const conditionErrors = await validateConditions(req.body.conditions);
+    if (conditionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quota conditions',
+        errors: conditionErrors
+      });
+    }
+
+    if (req.body.campaignId && !(await CampaignService.findCampaign(req.body.campaignId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const quota = new Quota(data);
+    await quota.validate();
+    await QuotaService.recount(quota);
+
+    console.log(`✅ Quota created: ${quota.name} (${quota.count}/${quota.limit})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quota created',
+      data: quota
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quota',
+        error: error.message
+      });
+    }
+
+    console.error('Quota creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create quota',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/quotas/:quotaId
+// @desc    Update a quota; changing its cell recounts it
+// @access  Admin
+router.put('/:quotaId', requireAdmin, loadQuota, async (req, res) => {
+  try {
+    const conditionErrors = await validateConditions(req.body.conditions);
+    if (conditionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quota conditions',
+        errors: conditionErrors
+      });
+    }
+
+    const quota = req.quota;
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) quota[field] = req.body[field];
+    });
+
+    if (quota.isModified('conditions') || quota.isModified('campaignId')) {
+      await quota.validate();
+      await QuotaService.recount(quota);
+    } else {
+      await quota.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Quota updated',
+      data: quota
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quota',
+        error: error.message
+      });
+    }
+
+    console.error('Quota update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quota',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotas/:quotaId/recount
+// @desc    Recount a quota from the stored responses
+// @access  Admin
+router.post('/:quotaId/recount', requireAdmin, loadQuota, async (req, res) => {
+  try {
+    await QuotaService.recount(req.quota);
+
+    res.json({
+      success: true,
+      message: 'Quota recounted',
+      data: req.quota.toProgress()
+    });
+
+  } catch (error) {
+    console.error('Quota recount error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recount quota',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotas/:quotaId/reopen
+// @desc    Reopen a closed quota cell (raise its limit first to admit more responses)
+// @access  Admin
+router.post('/:quotaId/reopen', requireAdmin, loadQuota, async (req, res) => {
+  try {
+    req.quota.status = 'open';
+    req.quota.closedAt = undefined;
+    await req.quota.save();
+
+    res.json({
+      success: true,
+      message: 'Quota reopened',
+      data: req.quota
+    });
+
+  } catch (error) {
+    console.error('Quota reopen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reopen quota',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/quotas/:quotaId
+// @desc    Deactivate a quota; it is no longer enforced or reported
+// @access  Admin
+router.delete('/:quotaId', requireAdmin, loadQuota, async (req, res) => {
+  try {
+    req.quota.active = false;
+    await req.quota.save();
+
+    res.json({
+      success: true,
+      message: 'Quota deactivated'
+    });
+
+  } catch (error) {
+    console.error('Quota deactivation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate quota',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
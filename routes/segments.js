@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const Segment = require('../models/Segment');
+const Survey = require('../models/Survey');
+const SegmentService = require('../services/segmentService');
+const CampaignService = require('../services/campaignService');
+const SurveyDefinitionService = require('../services/surveyDefinitionService');
+const { requireAuth, requireRole } = require('../middleware/authentication');
+
+const requireAdmin = [requireAuth, requireRole(['admin'])];
+
+// Fields an admin may set when creating or editing a segment
+const EDITABLE_FIELDS = ['name', 'description', 'campaignId', 'filters'];
+
+// Check the body's filters and campaign. Answers with the error and returns
+// false when they are invalid.
+const validateSegment = async (req, res) => {
+  if (req.body.filters !== undefined) {
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    const filterErrors = SegmentService.validateFilters(definition, req.body.filters);
+    if (filterErrors.length > 0) {
+      res.status(400).json({
+        success: false,
+        message: 'Invalid segment filters',
+        errors: filterErrors
+      });
+      return false;
+    }
+  }
+
+  if (req.body.campaignId && !(await CampaignService.findCampaign(req.body.campaignId))) {
+    res.status(404).json({
+      success: false,
+      message: 'Campaign not found'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Answer a failed save: 400 for invalid fields, 409 for a taken name
+const handleSaveError = (req, res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid segment',
+      error: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: `Segment ${req.body.name} already exists`
+    });
+  }
+
+  console.error(`Segment ${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action} segment`,
+    error: error.message
+  });
+};
+
+// Load the :segmentId segment (id or name) or answer 404
+const loadSegment = async (req, res, next) => {
+  try {
+    const segment = await SegmentService.findSegment(req.params.segmentId);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    req.segment = segment;
+    next();
+  } catch (error) {
+    console.error('Segment lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get segment',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/segments
+// @desc    List saved segments
+// @access  Admin
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.campaignId) filter.campaignId = req.query.campaignId;
+
+    const segments = await Segment.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: segments
+    });
+
+  } catch (error) {
+    console.error('Segment list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list segments',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/segments
+// @desc    Save a segment: a name and filters on survey answers, device and dates
+// @access  Admin
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    if (!(await validateSegment(req, res))) return;
+
+    const data = { createdBy: req.user && req.user.id };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const segment = await Segment.create(data);
+
+    console.log(`✅ Segment created: ${segment.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Segment created',
+      data: segment
+    });
+
+  } catch (error) {
+    handleSaveError(req, res, error, 'create');
+  }
+});
+
+// @route   GET /api/segments/:segmentId
+// @desc    Get a segment (by id or name) and how many responses it currently matches
+// @access  Admin
+router.get('/:segmentId', requireAdmin, loadSegment, async (req, res) => {
+  try {
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    const responses = await Survey.countDocuments(SegmentService.toSurveyFilter(definition, req.segment));
+
+    res.json({
+      success: true,
+      data: {
+        ...req.segment.toObject(),
+        responses
+      }
+    });
+
+  } catch (error) {
+    console.error('Segment fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get segment',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/segments/:segmentId
+// @desc    Update a segment; cached analytics of its old definition are not reused
+// @access  Admin
+router.put('/:segmentId', requireAdmin, loadSegment, async (req, res) => {
+  try {
+    if (!(await validateSegment(req, res))) return;
+
+    const segment = req.segment;
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) segment[field] = req.body[field];
+    });
+    if (req.body.filters !== undefined) segment.markModified('filters');
+
+    await segment.save();
+
+    res.json({
+      success: true,
+      message: 'Segment updated',
+      data: segment
+    });
+
+  } catch (error) {
+    handleSaveError(req, res, error, 'update');
+  }
+});
+
+// @route   DELETE /api/segments/:segmentId
+// @desc    Delete a segment
+// @access  Admin
+router.delete('/:segmentId', requireAdmin, loadSegment, async (req, res) => {
+  try {
+    await req.segment.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Segment deleted'
+    });
+
+  } catch (error) {
+    console.error('Segment deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete segment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
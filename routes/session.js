@@ -4,24 +4,119 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const Session = require('../models/Session');
 const Survey = require('../models/Survey');
+const SurveyDefinitionService = require('../services/surveyDefinitionService');
+const AnswerValidationService = require('../services/answerValidationService');
+const AnswerPatchService = require('../services/answerPatchService');
+const CampaignService = require('../services/campaignService');
+const QuotaService = require('../services/quotaService');
+const AnalyticsService = require('../services/analyticsService');
+const SessionResumeService = require('../services/sessionResumeService');
+const DeviceDetectionService = require('../services/deviceDetectionService');
+const PartialResponseService = require('../services/partialResponseService');
+const SessionAdminService = require('../services/sessionAdminService');
+const RespondentService = require('../services/respondentService');
+const { campaignScope } = require('../middleware/campaign');
+const { idempotency } = require('../middleware/idempotency');
+const { resolveLocale, normalizeLocale } = require('../middleware/locale');
 const { 
   sessionCreationLimiter, 
   surveySubmissionLimiter,
   progressSavingLimiter,
-  statusCheckLimiter
+  statusCheckLimiter,
+  resumeClaimLimiter
 } = require('../middleware/rateLimiting');
 const { auditManager } = require('../middleware/audit');
-const { validateSession } = require('../middleware/authentication');
+const { validateSession, requireAuth, requireRole } = require('../middleware/authentication');
 const { 
   sessionCacheMiddleware,
   cacheInvalidationMiddleware
 } = require('../middleware/cache');
 const { cacheService, CACHE_TTL } = require('../config/redis');
 
+// Times save-progress re-reads and retries when a request without If-Match
+// races another write to the same session
+const SAVE_PROGRESS_ATTEMPTS = 3;
+
+// Most answer history entries kept per session; older edits are dropped first
+const ANSWER_HISTORY_LIMIT = parseInt(process.env.ANSWER_HISTORY_LIMIT) || 500;
+
+const requireAdmin = [requireAuth, requireRole(['admin'])];
+
+// How long a submit may hold a session before another submit can take over
+const SUBMIT_LOCK_MS = 30 * 1000;
+
+// Strong ETag for a session revision
+const sessionEtag = (session) => `"${session.revision || 0}"`;
+
+// Revision the client expects, from If-Match ('"3"', 'W/"3"') or a `revision`
+// body field. Returns null when the client sent no precondition (or '*') and
+// NaN when it sent one that cannot be parsed.
+const readExpectedRevision = (req) => {
+  const header = req.get('If-Match');
+  const raw = header !== undefined ? header.split(',')[0].trim() : req.body && req.body.revision;
+
+  if (raw === undefined || raw === null || raw === '*') {
+    return null;
+  }
+
+  const value = String(raw).replace(/^W\//, '').replace(/"/g, '');
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+};
+
+const { revisionFilter, submitLockFree } = Session;
+
+const isSubmitLocked = (session, now = new Date()) =>
+  Boolean(session.submitLockedUntil) && new Date(session.submitLockedUntil) >= now;
+
+// Client view of a session, also sent back with conflicts
+const toSessionState = (session) => ({
+  sessionId: session.sessionId,
+  status: session.status,
+  locale: session.locale,
+  revision: session.revision || 0,
+  currentPage: session.currentPage,
+  totalPages: session.totalPages,
+  createdAt: session.timestamps.createdAt,
+  lastActivity: session.timestamps.lastActivity,
+  completedAt: session.timestamps.completedAt || null,
+  surveyId: session.surveyId || null,
+  surveyData: session.surveyData
+});
+
+// 201 body of a session submit; also replayed for repeated submits
+const toSubmitResponse = (sessionId, survey) => ({
+  success: true,
+  message: 'Survey submitted successfully',
+  data: {
+    sessionId,
+    surveyId: survey._id,
+    overQuota: Boolean(survey.overQuota),
+    submittedAt: survey.submittedAt
+  }
+});
+
+// 409 with the server's current state so the client can merge and retry
+const sendRevisionConflict = (res, session) => {
+  res.set('ETag', sessionEtag(session));
+  return res.status(409).json({
+    success: false,
+    code: 'revision_conflict',
+    message: 'Session was updated by another request; reload it and retry',
+    data: toSessionState(session)
+  });
+};
+
+// 409 while a submit holds the session
+const sendSubmitInProgress = (res) => res.status(409).json({
+  success: false,
+  code: 'submit_in_progress',
+  message: 'This session is already being submitted'
+});
+
 // @route   POST /api/session/create
 // @desc    Create a new survey session
 // @access  Public
-router.post('/create', sessionCreationLimiter, async (req, res) => {
+router.post('/create', sessionCreationLimiter, resolveLocale, async (req, res) => {
   try {
     // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
@@ -35,16 +130,53 @@ router.post('/create', sessionCreationLimiter, async (req, res) => {
         });
       });
     }
+    // Sessions can only be opened against campaigns that accept responses
+    const { campaign, error: campaignError } = await CampaignService.checkAcceptingResponses(req.body.campaignId);
+    if (campaignError) {
+      return res.status(campaignError.status).json({
+        success: false,
+        code: campaignError.code,
+        message: campaignError.message
+      });
+    }
+
     const sessionId = uuidv4();
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+
+    // Optional screening answers (e.g. university, gender) let full quota cells
+    // turn respondents away before they start
+    const screening = definition.sanitizeAnswers(req.body.screening || {});
+    const { answers: screeningAnswers, errors: screeningErrors } = AnswerValidationService.validate(definition, screening);
+    if (screeningErrors.length > 0) {
+      return res.status(422).json(AnswerValidationService.buildErrorResponse(screeningErrors));
+    }
+
+    const { error: quotaError } = await QuotaService.checkAvailability(definition, screeningAnswers, campaign && campaign._id);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        success: false,
+        code: quotaError.code,
+        message: quotaError.message,
+        quotaId: quotaError.quotaId
+      });
+    }
+
+    const { respondentId, returning } = RespondentService.identify(req, res);
+    if (returning) {
+      console.log(`🔁 Returning respondent started session ${sessionId}`);
+    }
+
+    const emptyAnswers = { ...definition.buildEmptyAnswers(), ...screeningAnswers };
     const sessionData = {
       sessionId,
       userId: req.body.userId || null,
-      metadata: {
-        ipAddress: req.ip || req.connection.remoteAddress,
-        userAgent: req.get('User-Agent'),
-        deviceType: req.body.deviceType || 'unknown',
-        browser: req.body.browser || 'unknown'
-      }
+      respondentId,
+      campaignId: campaign ? campaign._id : null,
+      definitionVersion: definition.version,
+      locale: normalizeLocale(req.body.locale) || req.locale,
+      totalPages: definition.getPagePath(emptyAnswers).length,
+      surveyData: emptyAnswers,
+      metadata: DeviceDetectionService.fromRequest(req)
     };
 
     const session = new Session(sessionData);
@@ -52,13 +184,17 @@ router.post('/create', sessionCreationLimiter, async (req, res) => {
 
     // Cache the session data
     const cacheKey = cacheService.buildSessionKey(sessionId);
-    await cacheService.set(cacheKey, session.toObject(), CACHE_TTL.SESSION);
+    await cacheService.setIfNewer(cacheKey, session.toObject(), CACHE_TTL.SESSION);
 
+    res.set('ETag', sessionEtag(session));
     res.status(201).json({
       success: true,
       message: 'Session created successfully',
       data: {
         sessionId,
+        campaignId: session.campaignId,
+        locale: session.locale,
+        revision: session.revision,
         currentPage: session.currentPage,
         totalPages: session.totalPages,
         createdAt: session.timestamps.createdAt
@@ -75,29 +211,110 @@ router.post('/create', sessionCreationLimiter, async (req, res) => {
   }
 });
 
+// @route   POST /api/session/resume
+// @desc    Continue a session on this device using a resume code
+// @access  Public
+router.post('/resume', resumeClaimLimiter, async (req, res) => {
+  try {
+    const session = await SessionResumeService.claim(req.body.code, DeviceDetectionService.fromRequest(req));
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        code: 'invalid_resume_code',
+        message: 'Resume code is invalid, expired or already used'
+      });
+    }
+
+    // Device metadata changed; refresh the cached copy
+    await cacheService.setIfNewer(cacheService.buildSessionKey(session.sessionId), session.toObject(), CACHE_TTL.SESSION);
+
+    console.log(`🔁 Session ${session.sessionId} resumed on another device (${session.metadata.handoffs.length} hand-off(s))`);
+
+    res.set('ETag', sessionEtag(session));
+    res.json({
+      success: true,
+      message: 'Session resumed',
+      data: {
+        sessionId: session.sessionId,
+        campaignId: session.campaignId,
+        locale: session.locale,
+        revision: session.revision || 0,
+        currentPage: session.currentPage,
+        totalPages: session.totalPages,
+        lastActivity: session.timestamps.lastActivity,
+        surveyData: session.surveyData
+      }
+    });
+
+  } catch (error) {
+    console.error('Session resume error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume session',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/session/:sessionId/resume-code
+// @desc    Issue a one-time code for continuing the session on another device
+// @access  Public
+router.post('/:sessionId/resume-code', statusCheckLimiter, validateSession, async (req, res) => {
+  try {
+    const resume = await SessionResumeService.issue(req.params.sessionId);
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or expired'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Resume code issued',
+      data: {
+        sessionId: req.params.sessionId,
+        resumeCode: resume.code,
+        expiresAt: resume.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue resume code',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/session/:sessionId/save-progress
 // @desc    Save progress for a specific page
 // @access  Public
 router.put('/:sessionId/save-progress', progressSavingLimiter, validateSession, sessionCacheMiddleware, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { page, data } = req.body;
+    const { page, data, operations } = req.body;
 
-    if (page === undefined || page < 0 || page >= 8) {
+    const expectedRevision = readExpectedRevision(req);
+    if (Number.isNaN(expectedRevision)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid page number'
+        message: 'Invalid If-Match revision'
       });
     }
 
-    // Try to get session from cache first
+    // Try to get session from cache first; the cached copy is only a starting
+    // point, the write below is checked against the stored revision
     let session = req.cachedSession;
-    
-    if (!session) {
-      session = await Session.findOne({ sessionId, status: 'active' });
-    } else {
-      // Convert cached session back to Mongoose document
-      session = new Session(session);
+    const cacheUsable = session && session.status === 'active' &&
+      (expectedRevision === null || (session.revision || 0) === expectedRevision);
+
+    if (!cacheUsable) {
+      session = await Session.findOne({ sessionId, status: 'active' }).lean();
     }
     
     if (!session) {
@@ -107,22 +324,128 @@ router.put('/:sessionId/save-progress', progressSavingLimiter, validateSession,
       });
     }
 
-    // Update session data
-    session.surveyData = { ...session.surveyData, ...data };
-    session.currentPage = Math.max(session.currentPage, page);
-    await session.updateActivity();
+    const definition = await SurveyDefinitionService.getDefinition(session.definitionVersion);
+
+    if (page === undefined || !definition.getPage(page)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid page number'
+      });
+    }
+
+    // Answers arrive as patch operations, or as a `data` object of answers to set
+    const patch = operations !== undefined ? operations : AnswerPatchService.fromData(definition, data);
+
+    let updated = null;
+    let changes = [];
+    let nextPage = null;
+    let pagePath = [];
+
+    for (let attempt = 0; attempt < SAVE_PROGRESS_ATTEMPTS && !updated; attempt++) {
+      if (attempt > 0) {
+        session = await Session.findOne({ sessionId, status: 'active' }).lean();
+        if (!session) {
+          return res.status(404).json({
+            success: false,
+            message: 'Session not found or expired'
+          });
+        }
+      }
+
+      // A submit is reading the answers; saving now could change what it submits
+      if (isSubmitLocked(session)) {
+        return sendSubmitInProgress(res);
+      }
+
+      // The client edited an older revision than the one stored
+      if (expectedRevision !== null && (session.revision || 0) !== expectedRevision) {
+        return sendRevisionConflict(res, session);
+      }
+
+      // Only questions on the page being saved may change, and only to known
+      // option values
+      const applied = AnswerPatchService.apply(definition, session.surveyData, patch, page);
+      if (applied.errors.length > 0) {
+        return res.status(422).json(AnswerValidationService.buildErrorResponse(applied.errors));
+      }
+
+      const surveyData = applied.surveyData;
+      changes = applied.changes;
+
+      // Pages skipped by the respondent's answers cannot be saved
+      pagePath = definition.getPagePath(surveyData);
+      if (!pagePath.includes(page)) {
+        return res.status(422).json(AnswerValidationService.buildErrorResponse([{
+          code: 'page_skipped',
+          page,
+          message: `Page ${page} is skipped for this session`
+        }], 'Page is not part of this session\'s survey path'));
+      }
+
+      // Required questions on the page must be answered unless this is a draft save
+      if (req.body.partial !== true) {
+        const missing = definition.findMissingAnswers(surveyData, page);
+        if (missing.length > 0) {
+          return res.status(422).json(AnswerValidationService.buildErrorResponse(missing, 'Required answers are missing on this page', {
+            missingAnswers: missing.map(item => item.field)
+          }));
+        }
+      }
+
+      // Update session data; progress follows the skip-logic path. The update only
+      // applies if nobody else wrote the session since it was read.
+      nextPage = definition.getNextPage(page, surveyData);
+      const savedAt = new Date();
+      const enteredAt = new Date(session.timestamps.pageEnteredAt || session.timestamps.lastActivity || session.timestamps.createdAt);
+      updated = await Session.findOneAndUpdate(
+        { sessionId, status: 'active', ...revisionFilter(session.revision), ...submitLockFree(savedAt) },
+        {
+          $set: {
+            surveyData,
+            currentPage: nextPage === null ? page : nextPage,
+            totalPages: pagePath.length,
+            'timestamps.lastActivity': savedAt,
+            'timestamps.pageEnteredAt': savedAt,
+            retainUntil: Session.idleRetainUntil(savedAt)
+          },
+          $push: {
+            answerHistory: { $each: changes, $slice: -ANSWER_HISTORY_LIMIT },
+            pageTimings: { page, enteredAt, exitedAt: savedAt, durationMs: savedAt - enteredAt }
+          },
+          $inc: { revision: 1 }
+        },
+        { new: true }
+      );
+    }
+
+    if (!updated) {
+      const current = await Session.findOne({ sessionId }).lean();
+      if (current && isSubmitLocked(current)) {
+        return sendSubmitInProgress(res);
+      }
+      return current ? sendRevisionConflict(res, current) : res.status(404).json({
+        success: false,
+        message: 'Session not found or expired'
+      });
+    }
 
-    // Update cache
+    // Update cache; never replaces a newer revision written by a concurrent request
     const cacheKey = cacheService.buildSessionKey(sessionId);
-    await cacheService.set(cacheKey, session.toObject(), CACHE_TTL.SESSION);
+    await cacheService.setIfNewer(cacheKey, updated.toObject(), CACHE_TTL.SESSION);
 
+    res.set('ETag', sessionEtag(updated));
     res.json({
       success: true,
       message: 'Progress saved successfully',
       data: {
         sessionId,
-        currentPage: session.currentPage,
-        lastActivity: session.timestamps.lastActivity
+        revision: updated.revision,
+        currentPage: updated.currentPage,
+        totalPages: updated.totalPages,
+        nextPage,
+        pagePath,
+        changedFields: [...new Set(changes.map(change => change.field))],
+        lastActivity: updated.timestamps.lastActivity
       }
     });
 
@@ -147,12 +470,12 @@ router.get('/:sessionId/status', statusCheckLimiter, validateSession, sessionCac
     let session = req.cachedSession;
     
     if (!session) {
-      session = await Session.findOne({ sessionId });
+      session = await Session.findOne({ sessionId }).lean();
       
       if (session) {
         // Cache the session data
         const cacheKey = cacheService.buildSessionKey(sessionId);
-        await cacheService.set(cacheKey, session.toObject(), CACHE_TTL.SESSION);
+        await cacheService.setIfNewer(cacheKey, session, CACHE_TTL.SESSION);
       }
     }
     
@@ -163,17 +486,22 @@ router.get('/:sessionId/status', statusCheckLimiter, validateSession, sessionCac
       });
     }
 
+    // If-None-Match is answered with 304 by Express once the ETag is set
+    res.set('ETag', sessionEtag(session));
+
+    const expectedRevision = readExpectedRevision(req);
+    if (expectedRevision !== null && expectedRevision !== (session.revision || 0)) {
+      return res.status(412).json({
+        success: false,
+        code: 'revision_mismatch',
+        message: 'Session is not at the requested revision',
+        data: toSessionState(session)
+      });
+    }
+
     res.json({
       success: true,
-      data: {
-        sessionId: session.sessionId,
-        status: session.status,
-        currentPage: session.currentPage,
-        totalPages: session.totalPages,
-        createdAt: session.timestamps.createdAt,
-        lastActivity: session.timestamps.lastActivity,
-        surveyData: session.surveyData
-      }
+      data: toSessionState(session)
     });
 
   } catch (error) {
@@ -189,54 +517,154 @@ router.get('/:sessionId/status', statusCheckLimiter, validateSession, sessionCac
 // @route   POST /api/session/:sessionId/submit
 // @desc    Submit completed survey
 // @access  Public
-router.post('/:sessionId/submit', surveySubmissionLimiter, validateSession, sessionCacheMiddleware, cacheInvalidationMiddleware(['analytics:*', 'survey:stats']), async (req, res) => {
+router.post('/:sessionId/submit', surveySubmissionLimiter, validateSession, idempotency, cacheInvalidationMiddleware(['survey:stats']), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    // Try to get session from cache first
-    let session = req.cachedSession;
-    
-    if (!session) {
-      session = await Session.findOne({ sessionId, status: 'active' });
-    } else {
-      // Convert cached session back to Mongoose document
-      session = new Session(session);
-    }
-    
+    // Hold the session for this submit before reading it: saves are refused while
+    // the lock is held, so the answers validated below are the ones submitted
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      { sessionId, status: 'active', ...submitLockFree(now) },
+      { $set: { submitLockedUntil: new Date(now.getTime() + SUBMIT_LOCK_MS) } },
+      { new: true }
+    );
+
     if (!session) {
+      const current = await Session.findOne({ sessionId, status: { $in: ['active', 'completed'] } })
+        .select('status surveyId');
+
+      // A session is only submitted once; repeated submits get the original response
+      if (current && current.status === 'completed' && current.surveyId) {
+        const original = await Survey.findById(current.surveyId).select('submittedAt overQuota');
+        if (original) {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(201).json(toSubmitResponse(sessionId, original));
+        }
+      }
+
+      // A concurrent submit of the same session holds the lock
+      if (current && current.status === 'active') {
+        return sendSubmitInProgress(res);
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Session not found or expired'
       });
     }
+    const releaseLock = () => Session.updateOne({ _id: session._id }, { $unset: { submitLockedUntil: 1 } });
+
+    // Clients that send If-Match only submit the revision they last saw
+    const expectedRevision = readExpectedRevision(req);
+    if (expectedRevision !== null && expectedRevision !== (session.revision || 0)) {
+      await releaseLock();
+      return sendRevisionConflict(res, session);
+    }
+
+    // Re-validate stored answers; sessions saved before validation may hold unknown
+    // values. Answers on pages or questions the respondent's path skipped are discarded.
+    const definition = await SurveyDefinitionService.getDefinition(session.definitionVersion);
+    const { answers: visibleAnswers, errors, missing } = AnswerValidationService.prepareSubmission(definition, session.surveyData);
+    if (errors.length > 0) {
+      await releaseLock();
+      return res.status(422).json(AnswerValidationService.buildErrorResponse(errors));
+    }
+
+    // Refuse incomplete sessions
+    if (missing.length > 0) {
+      await releaseLock();
+      return res.status(422).json(AnswerValidationService.buildErrorResponse(missing, 'Survey is incomplete', {
+        missingAnswers: missing.map(item => item.field)
+      }));
+    }
+
+    // The campaign may have closed since the session was opened
+    const { error: campaignError } = await CampaignService.checkAcceptingResponses(session.campaignId, visibleAnswers.university);
+    if (campaignError) {
+      await releaseLock();
+      return res.status(campaignError.status).json({
+        success: false,
+        code: campaignError.code,
+        message: campaignError.message
+      });
+    }
+
+    // Count the response against its quota cells
+    const { reserved, flagged, error: quotaError } = await QuotaService.reserve(definition, visibleAnswers, session.campaignId);
+    if (quotaError) {
+      await releaseLock();
+      return res.status(quotaError.status).json({
+        success: false,
+        code: quotaError.code,
+        message: quotaError.message,
+        quotaId: quotaError.quotaId
+      });
+    }
 
     // Create survey document
     const surveyData = {
-      ...session.surveyData,
+      answers: visibleAnswers,
+      campaignId: session.campaignId || null,
+      definitionVersion: definition.version,
+      overQuota: flagged.length > 0,
+      quotaFlags: flagged,
+      locale: session.locale,
+      answerHistory: session.toObject().answerHistory,
       ipAddress: session.metadata.ipAddress,
       userAgent: session.metadata.userAgent,
+      respondentId: session.respondentId || null,
+      device: DeviceDetectionService.toSurveyDevice(session.metadata),
       submittedAt: new Date()
     };
 
     const survey = new Survey(surveyData);
-    await survey.save();
+    try {
+      await survey.save();
+    } catch (error) {
+      await QuotaService.release(reserved);
+      await releaseLock();
+      throw error;
+    }
+
+    // Keep the session as a completed record linked to its survey. It only
+    // completes at the revision that was validated; if the lock ran out and the
+    // session changed meanwhile, the survey is withdrawn.
+    const completed = await session.completeSession(survey._id);
+    if (!completed) {
+      await Survey.deleteOne({ _id: survey._id });
+      await QuotaService.release(reserved);
+      await releaseLock();
+      const current = await Session.findOne({ sessionId }).lean();
+      return current ? sendRevisionConflict(res, current) : res.status(404).json({
+        success: false,
+        message: 'Session not found or expired'
+      });
+    }
+
+    // Keep the stored analytics current; a failed update is repaired by a rebuild
+    try {
+      await AnalyticsService.recordSubmission(survey);
+    } catch (error) {
+      console.error('❌ Analytics update error:', error);
+    }
+
+    // Clear the cached analytics responses this submission changes
+    await cacheService.invalidateAnalytics(survey.campaignId, survey.submittedAt);
 
     // Cache the survey data
     const surveyCacheKey = cacheService.buildSurveyKey(survey._id);
     await cacheService.set(surveyCacheKey, survey.toObject(), CACHE_TTL.SURVEY);
 
-    // Remove session document from database after successful submission
-    await Session.deleteOne({ sessionId });
-
-    // Remove session from cache
+    // Replace the cached copy so it cannot be saved to again
     const sessionCacheKey = cacheService.buildSessionKey(sessionId);
-    await cacheService.delete(sessionCacheKey);
+    await cacheService.setIfNewer(sessionCacheKey, completed.toObject(), CACHE_TTL.SESSION);
 
-    // Audit explicit session deletion after submission
+    // Audit session completion
     try {
       await auditManager.logEvent({
         category: 'data_modification',
-        action: 'delete',
+        action: 'update',
         resource: 'session',
         user: req.user?.id || 'anonymous',
         ip: req.ip,
@@ -245,26 +673,20 @@ router.post('/:sessionId/submit', surveySubmissionLimiter, validateSession, sess
           method: req.method,
           url: req.originalUrl,
           sessionId: sessionId,
+          status: completed.status,
           surveyId: survey._id,
-          submittedAt: survey.submittedAt
+          submittedAt: survey.submittedAt,
+          completionTimeMs: completed.completionTimeMs
         },
         outcome: 'success',
         risk: 'low'
       });
     } catch (e) {
       // Best-effort audit logging; do not fail submission if audit write fails
-      console.warn('Audit log failed for session deletion:', e.message);
+      console.warn('Audit log failed for session completion:', e.message);
     }
 
-    res.status(201).json({
-      success: true,
-      message: 'Survey submitted successfully',
-      data: {
-        sessionId,
-        surveyId: survey._id,
-        submittedAt: survey.submittedAt
-      }
-    });
+    res.status(201).json(toSubmitResponse(sessionId, survey));
 
   } catch (error) {
     console.error('Survey submission error:', error);
@@ -294,7 +716,9 @@ router.delete('/:sessionId', validateSession, async (req, res) => {
 
     if (session.status === 'active') {
       session.status = 'abandoned';
+      session.timestamps.abandonedAt = new Date();
       await session.save();
+      await PartialResponseService.capture([session.sessionId]);
     }
 
     res.json({
@@ -315,16 +739,18 @@ router.delete('/:sessionId', validateSession, async (req, res) => {
 // @route   GET /api/session/stats
 // @desc    Get session statistics
 // @access  Public
-router.get('/stats', async (req, res) => {
+router.get('/stats', campaignScope, async (req, res) => {
   try {
-    const activeSessions = await Session.countDocuments({ status: 'active' });
-    const completedSessions = await Session.countDocuments({ status: 'completed' });
-    const abandonedSessions = await Session.countDocuments({ status: 'abandoned' });
+    const scope = CampaignService.scopeFilter(req.campaign && req.campaign._id);
+    const activeSessions = await Session.countDocuments({ ...scope, status: 'active' });
+    const completedSessions = await Session.countDocuments({ ...scope, status: 'completed' });
+    const abandonedSessions = await Session.countDocuments({ ...scope, status: 'abandoned' });
+    const completion = await AnalyticsService.getCompletionStats(scope);
     
-    const recentSessions = await Session.find()
+    const recentSessions = await Session.find(scope)
       .sort({ 'timestamps.createdAt': -1 })
       .limit(10)
-      .select('sessionId status currentPage timestamps.createdAt');
+      .select('sessionId campaignId surveyId status currentPage timestamps.createdAt timestamps.completedAt');
 
     res.json({
       success: true,
@@ -332,6 +758,9 @@ router.get('/stats', async (req, res) => {
         activeSessions,
         completedSessions,
         abandonedSessions,
+        completionRate: completion.completionRate,
+        averageCompletionTime: completion.averageCompletionTime,
+        medianCompletionTime: completion.medianCompletionTime,
         recentSessions
       }
     });
@@ -346,4 +775,67 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// @route   GET /api/session
+// @desc    List sessions with filters and cursor pagination (?status=, ?from=, ?to=,
+//          ?currentPage=, ?deviceType=, ?os=, ?browser=, ?university=, ?sort=, ?order=,
+//          ?limit=, ?cursor=)
+// @access  Admin
+router.get('/', requireAdmin, campaignScope, async (req, res) => {
+  try {
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    const result = await SessionAdminService.list(definition, req.query, req.campaign && req.campaign._id);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.sessions,
+      pageInfo: result.pageInfo
+    });
+
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list sessions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/session/:sessionId
+// @desc    Get a session with its full timeline
+// @access  Admin
+router.get('/:sessionId', requireAdmin, validateSession, async (req, res) => {
+  try {
+    const detail = await SessionAdminService.getDetail(req.params.sessionId);
+
+    if (!detail) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: detail
+    });
+
+  } catch (error) {
+    console.error('Session detail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get session',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
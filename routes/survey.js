@@ -2,11 +2,23 @@ const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const Survey = require('../models/Survey');
+const SurveyDefinitionService = require('../services/surveyDefinitionService');
+const AnswerValidationService = require('../services/answerValidationService');
+const CampaignService = require('../services/campaignService');
+const QuotaService = require('../services/quotaService');
+const AnalyticsService = require('../services/analyticsService');
+const DeviceDetectionService = require('../services/deviceDetectionService');
+const RespondentService = require('../services/respondentService');
+const { campaignScope } = require('../middleware/campaign');
+const { idempotency } = require('../middleware/idempotency');
+const { cacheInvalidationMiddleware } = require('../middleware/cache');
+const { cacheService } = require('../config/redis');
+const { resolveLocale, normalizeLocale } = require('../middleware/locale');
 
 // @route   POST /api/survey/submit
 // @desc    Submit survey data
 // @access  Public
-router.post('/submit', async (req, res) => {
+router.post('/submit', resolveLocale, idempotency, cacheInvalidationMiddleware(['survey:stats']), async (req, res) => {
   try {
     // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
@@ -27,86 +39,75 @@ router.post('/submit', async (req, res) => {
       dataKeys: Object.keys(req.body)
     });
 
-    // Whitelist and normalize input fields
-    const allowedFields = new Set([
-      'gender',
-      'yearOfStudy',
-      'fieldOfStudy',
-      'university',
-      'socialMediaPlatforms',
-      'timeSpentOnSocialMedia',
-      'followsTechContent',
-      'techUpdateSources',
-      'currentPhoneBrand',
-      'topPhoneFunctions',
-      'phoneChangeFrequency',
-      'tecnoExperience',
-      'tecnoExperienceRating',
-      'learningSkills',
-      'partTimeWork',
-      'phoneFeaturesRanking',
-      'phoneBudget',
-      'preferredPhoneColors',
-      'interestedInAmbassador',
-      'ambassadorStrengths',
-      'ambassadorBenefits',
-      'name',
-      'contactNumber',
-      'socialMediaLink',
-      'followerCount',
-      'suggestions'
-    ]);
+    // Whitelist and normalize input fields against the active survey definition and
+    // reject values that are not in the definition's option lists
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    const { answers, errors } = AnswerValidationService.prepareSubmission(definition, req.body);
+    if (errors.length > 0) {
+      return res.status(422).json(AnswerValidationService.buildErrorResponse(errors));
+    }
 
-    const arrayFields = new Set([
-      'socialMediaPlatforms',
-      'techUpdateSources',
-      'topPhoneFunctions',
-      'learningSkills',
-      'partTimeWork',
-      'phoneFeaturesRanking',
-      'preferredPhoneColors',
-      'ambassadorStrengths',
-      'ambassadorBenefits'
-    ]);
+    // Submissions to closed campaigns are refused
+    const { campaign, error: campaignError } = await CampaignService.checkAcceptingResponses(req.body.campaignId, answers.university);
+    if (campaignError) {
+      return res.status(campaignError.status).json({
+        success: false,
+        code: campaignError.code,
+        message: campaignError.message
+      });
+    }
 
-    const body = req.body && typeof req.body === 'object' ? req.body : {};
-    const sanitized = {};
-    for (const key of Object.keys(body)) {
-      if (!allowedFields.has(key)) continue;
-      const value = body[key];
-      if (arrayFields.has(key)) {
-        if (Array.isArray(value)) {
-          sanitized[key] = value.filter(v => v != null).map(v => String(v));
-        } else if (value != null && value !== '') {
-          sanitized[key] = [String(value)];
-        } else {
-          sanitized[key] = [];
-        }
-      } else if (key === 'interestedInAmbassador') {
-        sanitized[key] = Boolean(value);
-      } else {
-        sanitized[key] = value == null ? '' : String(value);
-      }
+    // Count the response against its quota cells
+    const { reserved, flagged, error: quotaError } = await QuotaService.reserve(definition, answers, campaign && campaign._id);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        success: false,
+        code: quotaError.code,
+        message: quotaError.message,
+        quotaId: quotaError.quotaId
+      });
     }
 
     // Add metadata to the survey data
     const surveyData = {
-      ...sanitized,
+      answers,
+      campaignId: campaign ? campaign._id : null,
+      definitionVersion: definition.version,
+      overQuota: flagged.length > 0,
+      quotaFlags: flagged,
+      locale: normalizeLocale(req.body.locale) || req.locale,
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
+      respondentId: RespondentService.identify(req, res).respondentId,
+      device: DeviceDetectionService.toSurveyDevice(DeviceDetectionService.parse(req.get('User-Agent'), req.body)),
       submittedAt: new Date()
     };
 
     // Validate required fields (optional - adjust based on your requirements)
-    if (!surveyData.gender && !surveyData.yearOfStudy) {
+    if (!answers.gender && !answers.yearOfStudy) {
       console.warn('⚠️ Survey submitted with minimal data');
     }
 
     // Create new survey document
     const survey = new Survey(surveyData);
     
-    // Save to database
-    await survey.save();
+    // Save to database; give back quota reservations if that fails
+    try {
+      await survey.save();
+    } catch (error) {
+      await QuotaService.release(reserved);
+      throw error;
+    }
+
+    // Keep the stored analytics current; a failed update is repaired by a rebuild
+    try {
+      await AnalyticsService.recordSubmission(survey);
+    } catch (error) {
+      console.error('❌ Analytics update error:', error);
+    }
+
+    // Clear the cached analytics responses this submission changes
+    await cacheService.invalidateAnalytics(survey.campaignId, survey.submittedAt);
 
     console.log('✅ Survey saved successfully:', {
       id: survey._id,
@@ -118,6 +119,7 @@ router.post('/submit', async (req, res) => {
       message: 'Survey submitted successfully',
       data: {
         id: survey._id,
+        overQuota: survey.overQuota,
         submittedAt: survey.submittedAt
       }
     });
@@ -135,22 +137,35 @@ router.post('/submit', async (req, res) => {
 // @route   GET /api/survey/stats
 // @desc    Get survey statistics (for admin purposes)
 // @access  Public (you might want to add authentication)
-router.get('/stats', async (req, res) => {
+router.get('/stats', campaignScope, async (req, res) => {
   try {
-    const totalSurveys = await Survey.countDocuments();
-    const ambassadorInterest = await Survey.countDocuments({ interestedInAmbassador: true });
-    const universityStats = await Survey.aggregate([
-      { $group: { _id: '$university', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 10 }
+    const scope = CampaignService.scopeFilter(req.campaign && req.campaign._id);
+    const totalSurveys = await Survey.countDocuments(scope);
+    const ambassadorInterest = await Survey.countDocuments({ ...scope, 'answers.interestedInAmbassador': true });
+    const universityRows = await Survey.aggregate([
+      { $match: scope },
+      { $group: { _id: '$answers.university', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
     ]);
 
+    // Bucket by catalogue entry so aliases and display names are merged
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    const universityStats = AnalyticsService.bucketRows(definition, 'university', universityRows).slice(0, 10);
+
     res.json({
       success: true,
       data: {
         totalSurveys,
         ambassadorInterest,
-        universityStats
+        universityStats,
+        ...(req.campaign && {
+          campaign: {
+            id: req.campaign._id,
+            name: req.campaign.name,
+            status: req.campaign.status,
+            ...(await CampaignService.getProgress(req.campaign))
+          }
+        })
       }
     });
 
@@ -164,13 +179,43 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// @route   GET /api/survey/stats/quotas
+// @desc    Get quota progress (responses per cell against its limit)
+// @access  Public (you might want to add authentication)
+router.get('/stats/quotas', campaignScope, async (req, res) => {
+  try {
+    const quotas = await QuotaService.getProgress(req.campaign && req.campaign._id);
+    const overQuotaResponses = await Survey.countDocuments({
+      ...CampaignService.scopeFilter(req.campaign && req.campaign._id),
+      overQuota: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        quotas,
+        fullQuotas: quotas.filter(quota => quota.full).length,
+        overQuotaResponses
+      }
+    });
+
+  } catch (error) {
+    console.error('Quota progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve quota progress',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/survey/recent
 // @desc    Get recent survey submissions
 // @access  Public (you might want to add authentication)
-router.get('/recent', async (req, res) => {
+router.get('/recent', campaignScope, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const recentSurveys = await Survey.find()
+    const recentSurveys = await Survey.find(CampaignService.scopeFilter(req.campaign && req.campaign._id))
       .sort({ submittedAt: -1 })
       .limit(limit)
       .select('-__v'); // Exclude version field
@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const SurveyDefinition = require('../models/SurveyDefinition');
+const SurveyDefinitionService = require('../services/surveyDefinitionService');
+const SurveyPreviewService = require('../services/surveyPreviewService');
+const CatalogueService = require('../services/catalogueService');
+const { requireAuth, requireRole } = require('../middleware/authentication');
+const { resolveLocale, normalizeLocale, isRtlLocale } = require('../middleware/locale');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../config/locales');
+
+const requireAdmin = [requireAuth, requireRole(['admin'])];
+
+// Shape of a definition as served to survey clients, with labels in the requested
+// locale; inactive options are hidden. Option values are the same in every locale.
+// Required and skip-logic conditions are included so clients can mirror the
+// server's validation and page path.
+const toClientDefinition = (definition, locale = DEFAULT_LOCALE) => ({
+  version: definition.version,
+  name: definition.name,
+  locale,
+  direction: isRtlLocale(locale) ? 'rtl' : 'ltr',
+  pages: definition.pages.map(page => ({
+    index: page.index,
+    key: page.key,
+    title: definition.getPageTitle(page, locale),
+    showWhen: page.showWhen
+  })),
+  questions: definition.questions.map(question => ({
+    key: question.key,
+    type: question.type,
+    label: definition.getQuestionLabel(question, locale),
+    page: question.page,
+    required: question.required,
+    requiredWhen: question.requiredWhen || null,
+    showWhen: question.showWhen,
+    options: definition.getOptions(question)
+      .filter(option => option.active !== false)
+      .map(option => ({ value: option.value, label: definition.getOptionLabel(question, option, locale) }))
+  }))
+});
+
+// @route   GET /api/survey-definitions/locales
+// @desc    List the locales survey content is served in
+// @access  Public
+router.get('/locales', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      defaultLocale: DEFAULT_LOCALE,
+      locales: SUPPORTED_LOCALES.map(locale => ({
+        locale,
+        direction: isRtlLocale(locale) ? 'rtl' : 'ltr'
+      }))
+    }
+  });
+});
+
+// @route   GET /api/survey-definitions/active
+// @desc    Get the survey definition new sessions are answered against, localized
+//          by ?lang= or Accept-Language
+// @access  Public
+router.get('/active', resolveLocale, async (req, res) => {
+  try {
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+
+    res.json({
+      success: true,
+      data: toClientDefinition(definition, req.locale)
+    });
+
+  } catch (error) {
+    console.error('Active survey definition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get survey definition',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/survey-definitions
+// @desc    List all survey definition versions
+// @access  Admin
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const definitions = await SurveyDefinition.find()
+      .sort({ version: -1 })
+      .select('version name status publishedAt createdAt updatedAt');
+
+    res.json({
+      success: true,
+      data: definitions
+    });
+
+  } catch (error) {
+    console.error('Survey definition list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list survey definitions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/survey-definitions/:version
+// @desc    Get a specific survey definition version
+// @access  Admin
+router.get('/:version', requireAdmin, async (req, res) => {
+  try {
+    const definition = await SurveyDefinition.findByVersion(parseInt(req.params.version));
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey definition not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: definition
+    });
+
+  } catch (error) {
+    console.error('Survey definition retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get survey definition',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/survey-definitions
+// @desc    Create a new draft survey definition
+// @access  Admin
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const definition = await SurveyDefinitionService.createDraft(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Survey definition draft created',
+      data: definition
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid survey definition',
+        error: error.message
+      });
+    }
+
+    console.error('Survey definition creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create survey definition',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/survey-definitions/preview
+// @desc    Dry-run a sample answer set against a draft definition (`definition`)
+//          or a stored version (`version`); nothing is saved
+// @access  Admin
+router.post('/preview', requireAdmin, async (req, res) => {
+  try {
+    const { definition: draft, version, answers } = req.body;
+    let definition;
+
+    if (draft) {
+      definition = new SurveyDefinition({
+        name: draft.name,
+        pages: draft.pages,
+        questions: draft.questions,
+        translations: draft.translations,
+        version: (await SurveyDefinition.getLatestVersion()) + 1,
+        status: 'draft'
+      });
+
+      try {
+        await definition.validate();
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid survey definition',
+          error: validationError.message
+        });
+      }
+    } else if (version !== undefined) {
+      definition = await SurveyDefinition.findByVersion(parseInt(version));
+
+      if (!definition) {
+        return res.status(404).json({
+          success: false,
+          message: 'Survey definition not found'
+        });
+      }
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a draft definition or a version to preview'
+      });
+    }
+
+    // Catalogues are read but never seeded by a preview
+    await CatalogueService.applyCatalogues(definition, { seed: false });
+
+    const preview = await SurveyPreviewService.preview(definition, answers || {}, {
+      locale: normalizeLocale(req.body.locale) || DEFAULT_LOCALE
+    });
+
+    res.json({
+      success: true,
+      data: {
+        definition: {
+          version: definition.version,
+          status: definition.status,
+          pages: definition.pages.length,
+          questions: definition.questions.length
+        },
+        ...preview
+      }
+    });
+
+  } catch (error) {
+    console.error('Survey definition preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview survey definition',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/survey-definitions/:version
+// @desc    Update a draft survey definition
+// @access  Admin
+router.put('/:version', requireAdmin, async (req, res) => {
+  try {
+    const definition = await SurveyDefinition.findByVersion(parseInt(req.params.version));
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey definition not found'
+      });
+    }
+
+    if (definition.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft survey definitions can be edited'
+      });
+    }
+
+    const { name, pages, questions, translations } = req.body;
+    if (name !== undefined) definition.name = name;
+    if (pages !== undefined) definition.pages = pages;
+    if (questions !== undefined) definition.questions = questions;
+    if (translations !== undefined) definition.translations = translations;
+    await definition.save();
+
+    res.json({
+      success: true,
+      message: 'Survey definition updated',
+      data: definition
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid survey definition',
+        error: error.message
+      });
+    }
+
+    console.error('Survey definition update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update survey definition',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/survey-definitions/:version/activate
+// @desc    Publish a survey definition for new sessions
+// @access  Admin
+router.post('/:version/activate', requireAdmin, async (req, res) => {
+  try {
+    const definition = await SurveyDefinitionService.activate(parseInt(req.params.version));
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey definition not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Survey definition v${definition.version} activated`,
+      data: toClientDefinition(definition)
+    });
+
+  } catch (error) {
+    console.error('Survey definition activation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate survey definition',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,7 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 const { connectDB } = require('./config/database');
-const { initializeCluster } = require('./config/cluster');
+const { initializeCluster, onBackgroundJobsElected } = require('./config/cluster');
 const { connectRedis, updateCacheService, redisHealthCheck } = require('./config/redis');
 
 // Import routes
@@ -13,6 +13,15 @@ const surveyRoutes = require('./routes/survey');
 const sessionRoutes = require('./routes/session');
 const analyticsRoutes = require('./routes/analytics');
 const statusRoutes = require('./routes/status');
+const surveyDefinitionRoutes = require('./routes/surveyDefinitions');
+const campaignRoutes = require('./routes/campaigns');
+const catalogueRoutes = require('./routes/catalogues');
+const quotaRoutes = require('./routes/quotas');
+const segmentRoutes = require('./routes/segments');
+
+// Import background jobs
+const SessionLifecycleService = require('./services/sessionLifecycleService');
+const MigrationService = require('./services/migrationService');
 
 // Import middleware
 const { 
@@ -139,7 +148,8 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match', 'Idempotency-Key', 'X-Respondent-Token'],
+  exposedHeaders: ['ETag', 'Idempotent-Replayed', 'X-Respondent-Token']
 };
 
 app.use(cors(corsOptions));
@@ -229,10 +239,20 @@ if (process.env.DISABLE_RATE_LIMIT === 'true') {
   app.use('/api/survey', auditDataModification, surveyRoutes);
   app.use('/api/session', auditDataAccess, sessionRoutes);
   app.use('/api/analytics', auditDataAccess, analyticsRoutes);
+  app.use('/api/survey-definitions', auditSystemChanges, surveyDefinitionRoutes);
+  app.use('/api/campaigns', auditSystemChanges, campaignRoutes);
+  app.use('/api/catalogues', auditSystemChanges, catalogueRoutes);
+  app.use('/api/quotas', auditSystemChanges, quotaRoutes);
+  app.use('/api/segments', auditSystemChanges, segmentRoutes);
 } else {
   app.use('/api/survey', apiRateLimit, authRateLimit, auditDataModification, surveyRoutes);
   app.use('/api/session', sessionRateLimit, authRateLimit, auditDataAccess, sessionRoutes);
   app.use('/api/analytics', apiRateLimit, authRateLimit, auditDataAccess, analyticsRoutes);
+  app.use('/api/survey-definitions', apiRateLimit, authRateLimit, auditSystemChanges, surveyDefinitionRoutes);
+  app.use('/api/campaigns', apiRateLimit, authRateLimit, auditSystemChanges, campaignRoutes);
+  app.use('/api/catalogues', apiRateLimit, authRateLimit, auditSystemChanges, catalogueRoutes);
+  app.use('/api/quotas', apiRateLimit, authRateLimit, auditSystemChanges, quotaRoutes);
+  app.use('/api/segments', apiRateLimit, authRateLimit, auditSystemChanges, segmentRoutes);
 }
 
 // Root endpoint
@@ -246,6 +266,7 @@ app.get('/', (req, res) => {
       submitSurvey: 'POST /api/survey/submit',
       getStats: 'GET /api/survey/stats',
       getRecent: 'GET /api/survey/recent',
+      getQuotaProgress: 'GET /api/survey/stats/quotas',
       createSession: 'POST /api/session/create',
       saveProgress: 'PUT /api/session/:sessionId/save-progress',
       getSessionStatus: 'GET /api/session/:sessionId/status',
@@ -255,7 +276,13 @@ app.get('/', (req, res) => {
       getWeeklyAnalytics: 'GET /api/analytics/weekly',
       getMonthlyAnalytics: 'GET /api/analytics/monthly',
       getTrends: 'GET /api/analytics/trends',
-      getOverview: 'GET /api/analytics/overview'
+      getRange: 'GET /api/analytics/range',
+      getOverview: 'GET /api/analytics/overview',
+      getCrosstab: 'GET /api/analytics/crosstab',
+      getFunnel: 'GET /api/analytics/funnel',
+      getDevices: 'GET /api/analytics/devices',
+      getSurveyDefinition: 'GET /api/survey-definitions/active',
+      getOpenCampaigns: 'GET /api/campaigns/open'
     }
   });
 });
@@ -284,6 +311,12 @@ if (!isMasterProcess) {
     // Optimize server performance
     performanceOptimizer.optimizeServer(server);
 
+    // Background jobs run in a single process (the elected worker when clustering)
+    onBackgroundJobsElected(async () => {
+      await MigrationService.runAll();
+      SessionLifecycleService.start();
+    });
+
     // Log Redis status summary after server start
     (async () => {
       try {
@@ -1,370 +1,957 @@
+const { v4: uuidv4 } = require('uuid');
 const Survey = require('../models/Survey');
+const Session = require('../models/Session');
 const Analytics = require('../models/Analytics');
+const PartialResponse = require('../models/PartialResponse');
+const SurveyDefinitionService = require('./surveyDefinitionService');
+const CampaignService = require('./campaignService');
+const StatisticsService = require('./statisticsService');
+const { cacheService } = require('../config/redis');
+const { ANALYTICS_SECTIONS, QUESTION_TYPES } = require('../config/surveyDefinition');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../config/locales');
+
+// Question types that can be cross-tabulated or used as answer filters
+const CATEGORICAL_TYPES = [QUESTION_TYPES.SINGLE_CHOICE, QUESTION_TYPES.MULTI_CHOICE, QUESTION_TYPES.BOOLEAN];
+
+const badRequest = (code, message) => ({ error: { status: 400, code, message } });
+
+// Series granularities of range analytics and the period each one buckets by
+const RANGE_GRANULARITIES = { hour: 'hourly', day: 'daily', week: 'weekly', month: 'monthly' };
+
+// Most series points a range may produce
+const MAX_RANGE_POINTS = 1000;
+
+// Stored analytics periods, kept up to date on each submission
+const ANALYTICS_TYPES = ['daily', 'weekly', 'monthly'];
+
+// How long a rebuild of a running period waits for submissions already under way,
+// and after how long an unreleased rebuild lock (a crashed rebuild) is taken over
+const REBUILD_SETTLE_MS = parseInt(process.env.ANALYTICS_REBUILD_SETTLE_MS) || 5000;
+const REBUILD_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
 
 class AnalyticsService {
   
   // Generate daily analytics
-  static async generateDailyAnalytics(date = new Date()) {
-    try {
-      const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-      const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
-      
-      // Check if analytics already exist for this date
-      let analytics = await Analytics.findOne({
-        date: startOfDay,
-        type: 'daily'
-      });
-      
-      if (!analytics) {
-        analytics = new Analytics({
-          date: startOfDay,
-          type: 'daily'
-        });
-      }
-      
-      // Get surveys for this date
-      const surveys = await Survey.find({
-        submittedAt: {
-          $gte: startOfDay,
-          $lt: endOfDay
-        }
-      });
-      
-      // Reset counters
-      analytics.totalSurveys = 0;
-      analytics.demographics = this.resetDemographics();
-      analytics.phoneUsage = this.resetPhoneUsage();
-      analytics.socialMedia = this.resetSocialMedia();
-      analytics.skills = this.resetSkills();
-      analytics.preferences = this.resetPreferences();
-      analytics.ambassador = this.resetAmbassador();
-      analytics.tecnoExperience = this.resetTecnoExperience();
-      
-      // Process each survey
-      for (const survey of surveys) {
-        await this.processSurveyData(analytics, survey);
-      }
-      
-      // Calculate metadata
-      analytics.metadata.totalResponses = surveys.length;
-      analytics.metadata.completionRate = surveys.length > 0 ? 100 : 0;
-      
-      await analytics.save();
-      
-      console.log(`✅ Daily analytics generated for ${startOfDay.toISOString().split('T')[0]}: ${surveys.length} surveys`);
-      
-      return analytics;
-      
-    } catch (error) {
-      console.error('❌ Error generating daily analytics:', error);
-      throw error;
-    }
+  static async generateDailyAnalytics(date = new Date(), campaignId = null) {
+    return this.rebuildPeriod('daily', date, campaignId);
   }
   
   // Generate weekly analytics
-  static async generateWeeklyAnalytics(date = new Date()) {
-    try {
-      const startOfWeek = new Date(date);
-      startOfWeek.setDate(date.getDate() - date.getDay());
-      startOfWeek.setHours(0, 0, 0, 0);
-      
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(startOfWeek.getDate() + 7);
-      
-      // Check if analytics already exist for this week
-      let analytics = await Analytics.findOne({
-        date: startOfWeek,
-        type: 'weekly'
-      });
-      
-      if (!analytics) {
-        analytics = new Analytics({
-          date: startOfWeek,
-          type: 'weekly'
-        });
-      }
-      
-      // Get surveys for this week
-      const surveys = await Survey.find({
-        submittedAt: {
-          $gte: startOfWeek,
-          $lt: endOfWeek
-        }
-      });
-      
-      // Reset counters
-      analytics.totalSurveys = 0;
-      analytics.demographics = this.resetDemographics();
-      analytics.phoneUsage = this.resetPhoneUsage();
-      analytics.socialMedia = this.resetSocialMedia();
-      analytics.skills = this.resetSkills();
-      analytics.preferences = this.resetPreferences();
-      analytics.ambassador = this.resetAmbassador();
-      analytics.tecnoExperience = this.resetTecnoExperience();
-      
-      // Process each survey
-      for (const survey of surveys) {
-        await this.processSurveyData(analytics, survey);
-      }
-      
-      // Calculate metadata
-      analytics.metadata.totalResponses = surveys.length;
-      analytics.metadata.completionRate = surveys.length > 0 ? 100 : 0;
-      
-      await analytics.save();
-      
-      console.log(`✅ Weekly analytics generated for week starting ${startOfWeek.toISOString().split('T')[0]}: ${surveys.length} surveys`);
-      
-      return analytics;
-      
-    } catch (error) {
-      console.error('❌ Error generating weekly analytics:', error);
-      throw error;
-    }
+  static async generateWeeklyAnalytics(date = new Date(), campaignId = null) {
+    return this.rebuildPeriod('weekly', date, campaignId);
   }
   
   // Generate monthly analytics
-  static async generateMonthlyAnalytics(date = new Date()) {
+  static async generateMonthlyAnalytics(date = new Date(), campaignId = null) {
+    return this.rebuildPeriod('monthly', date, campaignId);
+  }
+  
+  // Recount the stored analytics of the period of `type` containing `date` from
+  // the surveys, creating the document if needed, and return it.
+  //
+  // Submissions keep incrementing the document meanwhile, so the rebuild locks it:
+  // while locked, submissions record their survey as pending instead of
+  // incrementing (see recordSubmission). The rebuild counts the surveys submitted
+  // before it took the lock, adds the pending ones it did not count, and replaces
+  // the counters and releases the lock in one update. For periods still running
+  // it first waits REBUILD_SETTLE_MS so submissions already under way have
+  // recorded themselves, so requests start rebuilds in the background (see
+  // startRebuild). Throws a 409 error when another rebuild holds the lock.
+  static async rebuildPeriod(type, date = new Date(), campaignId = null) {
     try {
-      const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
-      const endOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 1);
-      
-      // Check if analytics already exist for this month
-      let analytics = await Analytics.findOne({
-        date: startOfMonth,
-        type: 'monthly'
-      });
-      
-      if (!analytics) {
-        analytics = new Analytics({
-          date: startOfMonth,
-          type: 'monthly'
-        });
+      const { start, end } = this.periodOf(date, type);
+      const filter = { date: start, type, campaignId: campaignId || null };
+      const lockId = uuidv4();
+
+      // A duplicate key means the document exists and is locked, or was just
+      // created by a submission; only the first is a conflict
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await Analytics.updateOne(
+            {
+              ...filter,
+              $or: [
+                { 'rebuild.lockId': null },
+                { 'rebuild.lockedAt': { $lt: new Date(Date.now() - REBUILD_LOCK_TIMEOUT_MS) } }
+              ]
+            },
+            { $set: { rebuild: { lockId, lockedAt: new Date(), pendingSurveys: [] } } },
+            { upsert: true, setDefaultsOnInsert: false }
+          );
+          break;
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+        }
+
+        if (attempt === 3 || await Analytics.exists({ ...filter, 'rebuild.lockId': { $ne: null } })) {
+          const conflict = new Error(`A ${type} analytics rebuild for ${start.toISOString().split('T')[0]} is already running`);
+          conflict.status = 409;
+          conflict.code = 'rebuild_in_progress';
+          throw conflict;
+        }
       }
-      
-      // Get surveys for this month
+
+      // Surveys submitted from now on are counted through the pending list
+      const cutoff = new Date();
+      if (end > new Date(cutoff.getTime() - REBUILD_SETTLE_MS)) {
+        await new Promise(resolve => setTimeout(resolve, REBUILD_SETTLE_MS));
+      }
+
+      // Counters start from the active buckets; each survey is counted with its own version
+      const definition = await SurveyDefinitionService.getActiveDefinition();
+      const analytics = new Analytics(filter);
+      this.resetCounters(analytics, definition);
+
       const surveys = await Survey.find({
-        submittedAt: {
-          $gte: startOfMonth,
-          $lt: endOfMonth
-        }
+        submittedAt: { $gte: start, $lt: new Date(Math.min(end, cutoff)) },
+        ...CampaignService.scopeFilter(campaignId)
       });
-      
-      // Reset counters
-      analytics.totalSurveys = 0;
-      analytics.demographics = this.resetDemographics();
-      analytics.phoneUsage = this.resetPhoneUsage();
-      analytics.socialMedia = this.resetSocialMedia();
-      analytics.skills = this.resetSkills();
-      analytics.preferences = this.resetPreferences();
-      analytics.ambassador = this.resetAmbassador();
-      analytics.tecnoExperience = this.resetTecnoExperience();
-      
-      // Process each survey
       for (const survey of surveys) {
-        await this.processSurveyData(analytics, survey);
+        await this.processSurveyData(analytics, survey, await this.definitionOf(survey));
       }
-      
-      // Calculate metadata
-      analytics.metadata.totalResponses = surveys.length;
-      analytics.metadata.completionRate = surveys.length > 0 ? 100 : 0;
-      
-      await analytics.save();
-      
-      console.log(`✅ Monthly analytics generated for ${startOfMonth.toISOString().split('T')[0]}: ${surveys.length} surveys`);
-      
-      return analytics;
-      
+      const counted = new Set(surveys.map(survey => String(survey._id)));
+
+      analytics.metadata.totalResponses = analytics.totalSurveys;
+      await this.applyCompletionStats(analytics, start, end, campaignId);
+
+      // Pending surveys only ever get added while the lock is held, so the list is
+      // unchanged if it still has the length that was read
+      for (;;) {
+        const locked = await Analytics.findOne({ ...filter, 'rebuild.lockId': lockId }).select('rebuild').lean();
+        if (!locked) {
+          throw new Error('Analytics rebuild lock was lost');
+        }
+
+        const pendingIds = locked.rebuild.pendingSurveys || [];
+        const missing = pendingIds.filter(id => !counted.has(String(id)));
+        if (missing.length > 0) {
+          for (const survey of await Survey.find({ _id: { $in: missing } })) {
+            await this.processSurveyData(analytics, survey, await this.definitionOf(survey));
+            analytics.metadata.totalResponses++;
+            counted.add(String(survey._id));
+          }
+        }
+
+        const counters = analytics.toObject({ minimize: false });
+        const replaced = await Analytics.findOneAndUpdate(
+          { ...filter, 'rebuild.lockId': lockId, 'rebuild.pendingSurveys': { $size: pendingIds.length } },
+          {
+            $set: {
+              totalSurveys: counters.totalSurveys,
+              ...Object.fromEntries(ANALYTICS_SECTIONS.map(section => [section, counters[section] || {}])),
+              locales: counters.locales || {},
+              metadata: counters.metadata
+            },
+            $unset: { rebuild: 1 }
+          },
+          { new: true }
+        );
+
+        if (replaced) {
+          console.log(`✅ ${type} analytics generated for ${start.toISOString().split('T')[0]}: ${replaced.totalSurveys} surveys`);
+          return replaced;
+        }
+      }
+
     } catch (error) {
-      console.error('❌ Error generating monthly analytics:', error);
+      console.error(`❌ Error generating ${type} analytics:`, error);
       throw error;
     }
   }
   
-  // Process individual survey data
-  static async processSurveyData(analytics, survey) {
-    analytics.totalSurveys++;
-    
-    // Demographics
-    if (survey.gender) {
-      analytics.demographics.gender[survey.gender] = (analytics.demographics.gender[survey.gender] || 0) + 1;
+  // Generate (rebuild) the stored analytics of the period of `type` containing `date`
+  static generateAnalytics(type, date = new Date(), campaignId = null) {
+    switch (type) {
+      case 'daily':
+        return this.generateDailyAnalytics(date, campaignId);
+      case 'weekly':
+        return this.generateWeeklyAnalytics(date, campaignId);
+      case 'monthly':
+        return this.generateMonthlyAnalytics(date, campaignId);
+      default:
+        throw new Error('Invalid analytics type');
     }
-    
-    if (survey.yearOfStudy) {
-      analytics.demographics.yearOfStudy[survey.yearOfStudy] = (analytics.demographics.yearOfStudy[survey.yearOfStudy] || 0) + 1;
+  }
+
+  // Periods of each type between `from` and `to` that a rebuild covers, as
+  // { periods: [{ type, date }] } or { error }
+  static planRebuild(types, from, to) {
+    if (!(from <= to)) {
+      return badRequest('invalid_range', 'from must not be after to');
     }
-    
-    if (survey.fieldOfStudy) {
-      analytics.demographics.fieldOfStudy[survey.fieldOfStudy] = (analytics.demographics.fieldOfStudy[survey.fieldOfStudy] || 0) + 1;
+
+    const periods = [];
+    for (const type of types) {
+      for (let date = this.periodOf(from, type).start; date <= to; date = this.periodOf(date, type).end) {
+        periods.push({ type, date });
+      }
     }
-    
-    if (survey.university) {
-      analytics.demographics.university[survey.university] = (analytics.demographics.university[survey.university] || 0) + 1;
+    if (periods.length > MAX_RANGE_POINTS) {
+      return badRequest('range_too_large', `Rebuild at most ${MAX_RANGE_POINTS} periods at a time`);
     }
-    
-    // Phone usage
-    if (survey.currentPhoneBrand) {
-      analytics.phoneUsage.brands[survey.currentPhoneBrand] = (analytics.phoneUsage.brands[survey.currentPhoneBrand] || 0) + 1;
+    return { periods };
+  }
+
+  // Start rebuilding the stored analytics of every period of each type between
+  // `from` and `to` from the surveys, repairing any drift in the incremental
+  // counts. The rebuild carries on after this returns, as running periods wait
+  // for in-flight submissions first (see rebuildPeriod).
+  // Returns { periods } or { error }, a 409 when one of them is being rebuilt.
+  static async startRebuild(types, from, to, campaignId = null) {
+    const plan = this.planRebuild(types, from, to);
+    if (plan.error) {
+      return plan;
     }
-    
-    if (survey.phoneChangeFrequency) {
-      analytics.phoneUsage.changeFrequency[survey.phoneChangeFrequency] = (analytics.phoneUsage.changeFrequency[survey.phoneChangeFrequency] || 0) + 1;
+
+    const busy = await Analytics.exists({
+      campaignId: campaignId || null,
+      'rebuild.lockedAt': { $gte: new Date(Date.now() - REBUILD_LOCK_TIMEOUT_MS) },
+      $or: plan.periods.map(({ type, date }) => ({ type, date }))
+    });
+    if (busy) {
+      return { error: { status: 409, code: 'rebuild_in_progress', message: 'An analytics rebuild of these periods is already running' } };
     }
-    
-    if (survey.topPhoneFunctions && Array.isArray(survey.topPhoneFunctions)) {
-      survey.topPhoneFunctions.forEach(func => {
-        analytics.phoneUsage.topFunctions[func] = (analytics.phoneUsage.topFunctions[func] || 0) + 1;
-      });
+
+    this.runRebuild(plan.periods, campaignId);
+    return plan;
+  }
+
+  // Rebuild `periods` one after another, then clear the cached analytics
+  // responses, which may have been computed from the old counts. A failed
+  // period (logged by rebuildPeriod) does not stop the others.
+  static async runRebuild(periods, campaignId = null) {
+    let rebuilt = 0;
+    for (const { type, date } of periods) {
+      try {
+        await this.generateAnalytics(type, date, campaignId);
+        rebuilt++;
+      } catch (error) {
+        // Already logged; carry on with the other periods
+      }
     }
-    
-    // Social media
-    if (survey.socialMediaPlatforms && Array.isArray(survey.socialMediaPlatforms)) {
-      survey.socialMediaPlatforms.forEach(platform => {
-        analytics.socialMedia.platforms[platform] = (analytics.socialMedia.platforms[platform] || 0) + 1;
-      });
+
+    if (rebuilt > 0) {
+      await cacheService.deletePattern('analytics:*');
     }
-    
-    if (survey.timeSpentOnSocialMedia) {
-      analytics.socialMedia.timeSpent[survey.timeSpentOnSocialMedia] = (analytics.socialMedia.timeSpent[survey.timeSpentOnSocialMedia] || 0) + 1;
+    console.log(`🔧 Rebuilt ${rebuilt} of ${periods.length} analytics periods`);
+  }
+
+  // Count a newly saved survey into the stored daily, weekly and monthly analytics
+  // for all surveys and for its campaign, with the same bucketing as
+  // processSurveyData. Each document takes a single atomic pipeline update (an
+  // upsert, with zeroed counters, for the first survey of a period) that adds to
+  // the counters and recomputes the average ranks from them, so concurrent
+  // submissions cannot lose counts and a rebuild can never come in between. While
+  // a rebuild holds a document, the survey is added to its pending list instead
+  // (see rebuildPeriod). Completion metadata is only refreshed by a rebuild.
+  static async recordSubmission(survey) {
+    const submitted = typeof survey.toObject === 'function' ? survey.toObject() : survey;
+    const definition = await this.definitionOf(submitted);
+
+    const increments = {
+      totalSurveys: 1,
+      'metadata.totalResponses': 1,
+      [`locales.${submitted.locale || DEFAULT_LOCALE}`]: 1
+    };
+    definition.getCounterIncrements(submitted.answers || {}).forEach(({ path, amount }) => {
+      const key = path.join('.');
+      increments[key] = (increments[key] || 0) + amount;
+    });
+
+    // Missing counters count as zero, so a new document starts with every other
+    // counter at zero, as a generated one does
+    const counters = {};
+    Object.entries(increments).forEach(([path, amount]) => {
+      counters[path] = { $add: [{ $ifNull: [`$${path}`, 0] }, amount] };
+    });
+    const empty = this.flattenCounters({
+      ...definition.buildEmptyCounters(),
+      locales: Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, 0]))
+    });
+    [...Object.keys(empty), 'metadata.averageCompletionTime', 'metadata.completionRate']
+      .filter(path => counters[path] === undefined)
+      .forEach(path => {
+        counters[path] = { $ifNull: [`$${path}`, 0] };
+      });
+
+    // Average ranks are derived, so they are recomputed from the updated sums
+    const averageRanks = {};
+    Object.keys(increments)
+      .filter(key => key.endsWith('.rankSum'))
+      .forEach(key => {
+        const base = key.slice(0, -'.rankSum'.length);
+        averageRanks[`${base}.averageRank`] = { $round: [{ $divide: [`$${base}.rankSum`, `$${base}.responses`] }, 2] };
+      });
+    const update = [{ $set: counters }];
+    if (Object.keys(averageRanks).length > 0) {
+      update.push({ $set: averageRanks });
     }
-    
-    if (survey.followsTechContent) {
-      analytics.socialMedia.techContentFollowing[survey.followsTechContent] = (analytics.socialMedia.techContentFollowing[survey.followsTechContent] || 0) + 1;
+
+    const submittedAt = submitted.submittedAt || new Date();
+    const campaignIds = submitted.campaignId ? [null, submitted.campaignId] : [null];
+
+    for (const type of ANALYTICS_TYPES) {
+      const { start } = this.periodOf(submittedAt, type);
+
+      for (const campaignId of campaignIds) {
+        const filter = { date: start, type, campaignId };
+
+        // Retry until either update applies: the lock can be taken or released in between
+        for (let attempt = 1; ; attempt++) {
+          try {
+            await Analytics.updateOne(
+              { ...filter, 'rebuild.lockId': null },
+              update,
+              { upsert: true, setDefaultsOnInsert: false }
+            );
+            break;
+          } catch (error) {
+            // The document exists but is locked by a rebuild, or was created concurrently
+            if (error.code !== 11000) throw error;
+          }
+
+          const { matchedCount } = await Analytics.updateOne(
+            { ...filter, 'rebuild.lockId': { $ne: null } },
+            { $push: { 'rebuild.pendingSurveys': submitted._id } }
+          );
+          if (matchedCount > 0) break;
+          if (attempt === 5) {
+            throw new Error(`Could not record survey ${submitted._id} in ${type} analytics`);
+          }
+        }
+      }
     }
-    
-    // Skills and work
-    if (survey.learningSkills && Array.isArray(survey.learningSkills)) {
-      survey.learningSkills.forEach(skill => {
-        analytics.skills.learningSkills[skill] = (analytics.skills.learningSkills[skill] || 0) + 1;
+  }
+
+  // Counters of an analytics document as { 'section.bucket.key': count }
+  static flattenCounters(analytics) {
+    const counters = { totalSurveys: analytics.totalSurveys || 0 };
+    const walk = (node, prefix) => {
+      Object.entries(node || {}).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+          if (key !== 'averageRank') counters[`${prefix}.${key}`] = value;
+        } else if (value && typeof value === 'object') {
+          walk(value, `${prefix}.${key}`);
+        }
       });
+    };
+    [...ANALYTICS_SECTIONS, 'locales'].forEach(section => walk(analytics[section], section));
+    return counters;
+  }
+
+  // Compare the stored (incrementally updated) analytics of the period of `type`
+  // containing `date` with a rebuild from the surveys, without saving anything.
+  // Returns { type, date, campaignId, stored, consistent, storedSurveys,
+  // rebuiltSurveys, differences: [{ path, stored, rebuilt }] }.
+  static async checkConsistency(type, date = new Date(), campaignId = null) {
+    const { start } = this.periodOf(date, type);
+    const stored = await Analytics.findOne({ date: start, type, campaignId: campaignId || null }).lean();
+    const [rebuilt] = await this.getSegmentAnalytics(date, date, type, CampaignService.scopeFilter(campaignId), campaignId);
+
+    const storedCounters = stored ? this.flattenCounters(stored) : {};
+    const rebuiltCounters = this.flattenCounters(rebuilt.toObject());
+    const differences = [...new Set([...Object.keys(storedCounters), ...Object.keys(rebuiltCounters)])]
+      .filter(path => (storedCounters[path] || 0) !== (rebuiltCounters[path] || 0))
+      .sort()
+      .map(path => ({ path, stored: storedCounters[path] || 0, rebuilt: rebuiltCounters[path] || 0 }));
+
+    return {
+      type,
+      date: start,
+      campaignId: campaignId || null,
+      stored: Boolean(stored),
+      consistent: differences.length === 0,
+      storedSurveys: stored ? stored.totalSurveys : 0,
+      rebuiltSurveys: rebuilt.totalSurveys,
+      differences
+    };
+  }
+
+  // Completion rate (%) and completion times (seconds) of the sessions matching
+  // `match`. Surveys submitted without a session are not part of these figures.
+  static async getCompletionStats(match = {}) {
+    const startedSessions = await Session.countDocuments(match);
+    const completedMatch = { ...match, status: 'completed', completionTimeMs: { $ne: null } };
+
+    const [row] = await Session.aggregate([
+      { $match: completedMatch },
+      { $group: { _id: null, completedSessions: { $sum: 1 }, averageMs: { $avg: '$completionTimeMs' } } }
+    ]);
+    const completedSessions = row ? row.completedSessions : 0;
+
+    let medianMs = null;
+    if (completedSessions > 0) {
+      const [middle] = await Session.find(completedMatch)
+        .sort({ completionTimeMs: 1 })
+        .skip(Math.floor((completedSessions - 1) / 2))
+        .limit(1)
+        .select('completionTimeMs')
+        .lean();
+      medianMs = middle ? middle.completionTimeMs : null;
     }
-    
-    if (survey.partTimeWork && Array.isArray(survey.partTimeWork)) {
-      survey.partTimeWork.forEach(work => {
-        analytics.skills.partTimeWork[work] = (analytics.skills.partTimeWork[work] || 0) + 1;
-      });
+
+    const toSeconds = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / 100) / 10);
+
+    return {
+      startedSessions,
+      completedSessions,
+      completionRate: startedSessions > 0 ? Math.round((completedSessions / startedSessions) * 10000) / 100 : null,
+      averageCompletionTime: toSeconds(row ? row.averageMs : null),
+      medianCompletionTime: toSeconds(medianMs)
+    };
+  }
+
+  // Survey.countDocuments, optionally counting partial responses as well
+  static async countResponses(filter = {}, includePartials = false) {
+    const surveys = await Survey.countDocuments(filter);
+    return includePartials ? surveys + await PartialResponse.countDocuments(filter) : surveys;
+  }
+
+  // Survey.find (lean), optionally returning partial responses as well
+  static async findResponses(filter = {}, includePartials = false) {
+    const surveys = await Survey.find(filter).lean();
+    return includePartials ? [...surveys, ...await PartialResponse.find(filter).lean()] : surveys;
+  }
+
+  // Survey.aggregate, optionally over partial responses as well. The pipeline must
+  // start with a $match, which is applied to both collections.
+  static aggregateResponses(pipeline, includePartials = false) {
+    if (!includePartials) {
+      return Survey.aggregate(pipeline);
     }
-    
-    // Preferences
-    if (survey.phoneBudget) {
-      analytics.preferences.budget[survey.phoneBudget] = (analytics.preferences.budget[survey.phoneBudget] || 0) + 1;
+
+    const [match, ...rest] = pipeline;
+    return Survey.aggregate([
+      match,
+      { $unionWith: { coll: PartialResponse.collection.name, pipeline: [match] } },
+      ...rest
+    ]);
+  }
+
+  // Survey filter from query parameters, shared by the analytics endpoints that
+  // take filters:
+  //   from, to       - submittedAt range
+  //   deviceType, os - detected device (see Survey.device)
+  //   <question key> - answer to a choice or yes/no question, e.g. ?university=uol;
+  //                    comma-separated values match any of them, and display
+  //                    names and aliases match their option
+  // Other parameters are ignored. Returns { filter } or { error }.
+  static buildSurveyFilter(definition, query = {}, campaignId = null) {
+    const filter = CampaignService.scopeFilter(campaignId);
+
+    const start = query.from ? new Date(query.from) : null;
+    const end = query.to ? new Date(query.to) : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return badRequest('invalid_date', 'from and to must be valid dates');
     }
-    
-    if (survey.preferredPhoneColors && Array.isArray(survey.preferredPhoneColors)) {
-      survey.preferredPhoneColors.forEach(color => {
-        analytics.preferences.colors[color] = (analytics.preferences.colors[color] || 0) + 1;
-      });
+    if (start || end) {
+      filter.submittedAt = {
+        ...(start && { $gte: start }),
+        ...(end && { $lte: end })
+      };
     }
-    
-    // Ambassador program
-    if (survey.interestedInAmbassador) {
-      analytics.ambassador.interested++;
-    } else {
-      analytics.ambassador.notInterested++;
+
+    if (query.deviceType) filter['device.type'] = String(query.deviceType);
+    if (query.os) filter['device.os'] = String(query.os);
+
+    for (const question of definition.questions.filter(item => CATEGORICAL_TYPES.includes(item.type))) {
+      const raw = query[question.key];
+      if (raw === undefined || raw === '') {
+        continue;
+      }
+
+      const values = String(raw).split(',').map(value => value.trim()).filter(Boolean);
+      filter[`answers.${question.key}`] = question.type === QUESTION_TYPES.BOOLEAN
+        ? { $in: values.map(value => value === 'true') }
+        : { $in: [...new Set(values.flatMap(value => this.answerVariants(definition, question.key, value)))] };
     }
-    
-    if (survey.ambassadorStrengths && Array.isArray(survey.ambassadorStrengths)) {
-      survey.ambassadorStrengths.forEach(strength => {
-        analytics.ambassador.strengths[strength] = (analytics.ambassador.strengths[strength] || 0) + 1;
-      });
+
+    return { filter };
+  }
+
+  // Contingency table of two choice or yes/no questions (`fields` = [rows, columns]),
+  // optionally split by a third (`fields[2]`), over the surveys matching `match`.
+  // Each table has counts with row, column and total percentages and a chi-square
+  // test of independence. Multi-choice answers count once per selected option, so
+  // their tables count selections rather than respondents (`multipleResponse`).
+  // Unanswered questions are left out. Returns the crosstab or { error }.
+  static async getCrosstab(definition, fields, match = {}, includePartials = false) {
+    if (fields.length < 2 || fields.length > 3) {
+      return badRequest('invalid_fields', 'Cross-tabulate two or three questions');
     }
-    
-    if (survey.ambassadorBenefits && Array.isArray(survey.ambassadorBenefits)) {
-      survey.ambassadorBenefits.forEach(benefit => {
-        analytics.ambassador.benefits[benefit] = (analytics.ambassador.benefits[benefit] || 0) + 1;
-      });
+    if (new Set(fields).size !== fields.length) {
+      return badRequest('invalid_fields', 'Cross-tabulated questions must be different');
     }
-    
-    // TECNO experience
-    if (survey.tecnoExperience) {
-      analytics.tecnoExperience[survey.tecnoExperience] = (analytics.tecnoExperience[survey.tecnoExperience] || 0) + 1;
+
+    const questions = [];
+    for (const field of fields) {
+      const question = definition.getQuestion(field);
+      if (!question) {
+        return badRequest('unknown_field', `${field} is not a question of this survey`);
+      }
+      if (!CATEGORICAL_TYPES.includes(question.type)) {
+        return badRequest('unsupported_field', `${field} is a ${question.type} question; only choice and yes/no questions can be cross-tabulated`);
+      }
+      questions.push(question);
+    }
+
+    const [rowQuestion, columnQuestion, layerQuestion] = questions;
+    const pipeline = [{ $match: match }];
+    questions
+      .filter(question => definition.isArrayQuestion(question))
+      .forEach(question => pipeline.push({ $unwind: `$answers.${question.key}` }));
+    pipeline.push({
+      $group: {
+        _id: {
+          row: `$answers.${rowQuestion.key}`,
+          column: `$answers.${columnQuestion.key}`,
+          ...(layerQuestion && { layer: `$answers.${layerQuestion.key}` })
+        },
+        count: { $sum: 1 }
+      }
+    });
+
+    const rows = await this.aggregateResponses(pipeline, includePartials);
+
+    // Resolve stored answers (labels, aliases) to their option, like bucketRows
+    const resolvers = questions.map(question => this.answerResolver(definition, question));
+    const [resolveRow, resolveColumn, resolveLayer] = resolvers;
+    const cells = [];
+    for (const row of rows) {
+      const rowAnswer = resolveRow.resolve(row._id.row);
+      const columnAnswer = resolveColumn.resolve(row._id.column);
+      const layerAnswer = layerQuestion ? resolveLayer.resolve(row._id.layer) : null;
+      if (rowAnswer && columnAnswer && (!layerQuestion || layerAnswer)) {
+        cells.push({ row: rowAnswer, column: columnAnswer, layer: layerAnswer, count: row.count });
+      }
     }
+
+    const rowAnswers = resolveRow.ordered(cells.map(cell => cell.row));
+    const columnAnswers = resolveColumn.ordered(cells.map(cell => cell.column));
+
+    const result = {
+      rows: { field: rowQuestion.key, label: rowQuestion.label },
+      columns: { field: columnQuestion.key, label: columnQuestion.label },
+      multipleResponse: questions.some(question => definition.isArrayQuestion(question)),
+      table: this.buildContingencyTable(rowAnswers, columnAnswers, cells)
+    };
+
+    if (layerQuestion) {
+      result.layers = {
+        field: layerQuestion.key,
+        label: layerQuestion.label,
+        tables: resolveLayer.ordered(cells.map(cell => cell.layer)).map(layer => ({
+          value: layer.value,
+          label: layer.label,
+          table: this.buildContingencyTable(rowAnswers, columnAnswers, cells.filter(cell => cell.layer.key === layer.key))
+        }))
+      };
+    }
+
+    return result;
   }
-  
-  // Reset helper methods
-  static resetDemographics() {
-    return {
-      gender: { male: 0, female: 0, 'prefer-not-to-say': 0 },
-      yearOfStudy: { 'first-year': 0, 'second-year': 0, 'third-year': 0, 'fourth-year': 0, 'post-graduate': 0 },
-      fieldOfStudy: { 'liberal-arts': 0, 'science': 0, 'engineering': 0, 'arts': 0, 'other': 0 },
-      university: { 'uol': 0, 'ucp': 0, 'umt': 0, 'iac': 0, 'bnu': 0, 'fccu': 0, 'gc': 0, 'other': 0 }
+
+  // Maps stored answers of a question to { key, value, label } (null for no
+  // answer) and orders them: options in definition order, then unknown values
+  static answerResolver(definition, question) {
+    const options = question.type === QUESTION_TYPES.BOOLEAN ? [] : definition.getOptions(question);
+
+    const resolve = (raw) => {
+      if (raw === undefined || raw === null || raw === '') {
+        return null;
+      }
+      if (question.type === QUESTION_TYPES.BOOLEAN) {
+        return { key: String(raw), value: raw, label: raw ? 'Yes' : 'No' };
+      }
+      const option = definition.findOption(question, raw);
+      return option
+        ? { key: option.value, value: option.value, label: option.label }
+        : { key: String(raw), value: raw, label: null };
+    };
+
+    const ordered = (answers) => {
+      const unique = new Map(answers.map(answer => [answer.key, answer]));
+      const order = question.type === QUESTION_TYPES.BOOLEAN ? ['true', 'false'] : options.map(option => option.value);
+      const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+      return [...unique.values()].sort((a, b) => rank(a.key) - rank(b.key) || a.key.localeCompare(b.key));
     };
+
+    return { resolve, ordered };
   }
-  
-  static resetPhoneUsage() {
+
+  // Counts of `cells` ({ row, column, count }) laid out over the given row and
+  // column answers, with percentages and a chi-square test
+  static buildContingencyTable(rowAnswers, columnAnswers, cells) {
+    const counts = rowAnswers.map(() => columnAnswers.map(() => 0));
+    const rowIndex = new Map(rowAnswers.map((answer, index) => [answer.key, index]));
+    const columnIndex = new Map(columnAnswers.map((answer, index) => [answer.key, index]));
+    cells.forEach(cell => {
+      counts[rowIndex.get(cell.row.key)][columnIndex.get(cell.column.key)] += cell.count;
+    });
+
+    const rowTotals = counts.map(row => row.reduce((sum, count) => sum + count, 0));
+    const columnTotals = columnAnswers.map((_, column) => counts.reduce((sum, row) => sum + row[column], 0));
+    const total = rowTotals.reduce((sum, count) => sum + count, 0);
+    const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
     return {
-      brands: { 'apple': 0, 'samsung': 0, 'oppo': 0, 'vivo': 0, 'tecno': 0, 'infinix': 0, 'realme': 0, 'redmi': 0, 'other': 0 },
-      changeFrequency: { 'less-than-1-year': 0, '1-2-years': 0, '2-3-years': 0, 'more-than-3-years': 0 },
-      topFunctions: { 'camera-video': 0, 'gaming': 0, 'communication': 0, 'study-work': 0, 'social-media': 0, 'watching-videos': 0, 'other': 0 }
+      rows: rowAnswers.map((answer, index) => ({ value: answer.value, label: answer.label, total: rowTotals[index] })),
+      columns: columnAnswers.map((answer, index) => ({ value: answer.value, label: answer.label, total: columnTotals[index] })),
+      // cells[row][column]
+      cells: counts.map((row, rowNumber) => row.map((count, column) => ({
+        count,
+        rowPercent: percent(count, rowTotals[rowNumber]),
+        columnPercent: percent(count, columnTotals[column]),
+        totalPercent: percent(count, total)
+      }))),
+      total,
+      chiSquare: StatisticsService.chiSquare(counts)
     };
   }
-  
-  static resetSocialMedia() {
+
+  // Drop-off funnel of the sessions matching `match`, one row per page of
+  // `definition`:
+  //   reached           - sessions that saved the page or were left on it
+  //   medianTimeSeconds - median of each session's total time on the page
+  //   abandoned         - abandoned or expired sessions left on the page
+  //   abandonmentRate   - abandoned / reached (%)
+  static async getPageFunnel(definition, match = {}) {
+    const [result] = await Session.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: null, sessions: { $sum: 1 }, completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } } } }
+          ],
+          reached: [
+            { $project: { pages: { $setUnion: [{ $ifNull: ['$pageTimings.page', []] }, [{ $ifNull: ['$currentPage', 0] }]] } } },
+            { $unwind: '$pages' },
+            { $group: { _id: '$pages', count: { $sum: 1 } } }
+          ],
+          abandoned: [
+            { $match: { status: { $in: ['abandoned', 'expired'] } } },
+            { $group: { _id: { $ifNull: ['$currentPage', 0] }, count: { $sum: 1 } } }
+          ],
+          durations: [
+            { $unwind: '$pageTimings' },
+            { $group: { _id: { session: '$_id', page: '$pageTimings.page' }, durationMs: { $sum: '$pageTimings.durationMs' } } },
+            { $sort: { durationMs: 1 } },
+            { $group: { _id: '$_id.page', durations: { $push: '$durationMs' } } }
+          ]
+        }
+      }
+    ]);
+
+    const countsOf = (rows) => new Map(rows.map(row => [row._id, row.count]));
+    const reached = countsOf(result.reached);
+    const abandoned = countsOf(result.abandoned);
+    const durations = new Map(result.durations.map(row => [row._id, row.durations]));
+    const totals = result.totals[0] || { sessions: 0, completed: 0 };
+
+    const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+    const median = (values) => (values && values.length > 0 ? values[Math.floor((values.length - 1) / 2)] : null);
+
+    const pages = [...definition.pages]
+      .sort((a, b) => a.index - b.index)
+      .map(page => {
+        const pageReached = reached.get(page.index) || 0;
+        const pageAbandoned = abandoned.get(page.index) || 0;
+        const medianMs = median(durations.get(page.index));
+
+        return {
+          page: page.index,
+          key: page.key,
+          title: page.title,
+          reached: pageReached,
+          reachedRate: percent(pageReached, totals.sessions),
+          medianTimeSeconds: medianMs === null ? null : Math.round(medianMs / 100) / 10,
+          abandoned: pageAbandoned,
+          abandonmentRate: percent(pageAbandoned, pageReached)
+        };
+      });
+
     return {
-      platforms: { 'facebook': 0, 'instagram': 0, 'tiktok': 0, 'youtube': 0, 'snapchat': 0, 'other': 0 },
-      timeSpent: { '0-1-hour': 0, '2-3-hours': 0, '4-5-hours': 0, '6-plus-hours': 0 },
-      techContentFollowing: { 'often': 0, 'sometimes': 0, 'rarely': 0, 'never': 0 }
+      totalSessions: totals.sessions,
+      completedSessions: totals.completed,
+      completionRate: percent(totals.completed, totals.sessions),
+      pages
     };
   }
-  
-  static resetSkills() {
+
+  // Device class, OS, browser and vendor counts of the surveys matching `match`,
+  // and the phone brands respondents named per detected OS. Surveys submitted
+  // before devices were detected count as unknown.
+  static async getDeviceBreakdown(definition, match = {}, includePartials = false) {
+    const unknown = (path) => ({ $ifNull: [path, 'unknown'] });
+    const countBy = (id) => [
+      { $group: { _id: id, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ];
+
+    const [result] = await this.aggregateResponses([
+      { $match: match },
+      {
+        $facet: {
+          deviceTypes: countBy(unknown('$device.type')),
+          operatingSystems: countBy(unknown('$device.os')),
+          osVersions: countBy({ os: unknown('$device.os'), version: unknown('$device.osVersion') }),
+          browsers: countBy(unknown('$device.browser')),
+          vendors: countBy(unknown('$device.vendor')),
+          phoneBrandsByOs: countBy({ os: unknown('$device.os'), answer: '$answers.currentPhoneBrand' })
+        }
+      }
+    ], includePartials);
+
+    const phoneBrandsByOs = {};
+    result.operatingSystems.forEach(({ _id: os }) => {
+      const rows = result.phoneBrandsByOs
+        .filter(row => row._id.os === os)
+        .map(row => ({ _id: row._id.answer, count: row.count }));
+      phoneBrandsByOs[os] = this.bucketRows(definition, 'currentPhoneBrand', rows);
+    });
+
     return {
-      learningSkills: { 'none': 0, 'web-development': 0, 'graphic-design': 0, 'video-editing': 0, 'trading': 0, 'programming': 0, 'digital-marketing': 0, 'ecommerce': 0, 'english-learning': 0, 'other': 0 },
-      partTimeWork: { 'none': 0, 'freelancing-it': 0, 'freelancing-design': 0, 'content-creation': 0, 'video-creation': 0, 'online-trading': 0, 'teaching': 0, 'business': 0, 'food-delivery': 0, 'ride-hailing': 0, 'sales-marketing': 0, 'call-center': 0, 'other': 0 }
+      deviceTypes: result.deviceTypes,
+      operatingSystems: result.operatingSystems,
+      osVersions: result.osVersions.map(row => ({ os: row._id.os, version: row._id.version, count: row.count })),
+      browsers: result.browsers,
+      vendors: result.vendors,
+      phoneBrandsByOs
     };
   }
-  
-  static resetPreferences() {
-    return {
-      budget: { '20-30k': 0, '31-45k': 0, '46-60k': 0, '61-80k': 0, '81-100k': 0, 'above-100k': 0 },
-      colors: { 'black': 0, 'white': 0, 'blue': 0, 'red': 0, 'green': 0, 'purple': 0, 'gold': 0, 'silver': 0, 'pink': 0, 'gray': 0 }
+
+  // How often anonymous respondents (see RespondentService) start sessions and
+  // submit surveys: totals, how many did so more than once, the distribution of
+  // starts/submissions per respondent and the `limit` most frequent repeaters.
+  // `sessionMatch` and `surveyMatch` select the sessions and surveys counted.
+  static async getRespondentStats(sessionMatch = {}, surveyMatch = {}, limit = 20) {
+    const repeatStats = async (Model, match, dateField, countKey, extra = {}) => {
+      const [result] = await Model.aggregate([
+        { $match: { ...match, respondentId: { $ne: null } } },
+        {
+          $group: {
+            _id: '$respondentId',
+            [countKey]: { $sum: 1 },
+            first: { $min: dateField },
+            last: { $max: dateField },
+            ...extra
+          }
+        },
+        {
+          $facet: {
+            summary: [
+              { $group: { _id: null, respondents: { $sum: 1 }, total: { $sum: `$${countKey}` }, repeatRespondents: { $sum: { $cond: [{ $gt: [`$${countKey}`, 1] }, 1, 0] } } } }
+            ],
+            distribution: [
+              { $group: { _id: `$${countKey}`, respondents: { $sum: 1 } } },
+              { $sort: { _id: 1 } }
+            ],
+            top: [
+              { $match: { [countKey]: { $gt: 1 } } },
+              { $sort: { [countKey]: -1, last: -1 } },
+              { $limit: limit }
+            ]
+          }
+        }
+      ]);
+
+      const summary = result.summary[0] || { respondents: 0, total: 0, repeatRespondents: 0 };
+      const untracked = await Model.countDocuments({ ...match, respondentId: null });
+
+      return {
+        respondents: summary.respondents,
+        total: summary.total,
+        untracked,
+        repeatRespondents: summary.repeatRespondents,
+        repeatRate: summary.respondents > 0 ? Math.round((summary.repeatRespondents / summary.respondents) * 10000) / 100 : null,
+        distribution: result.distribution.map(row => ({ [countKey]: row._id, respondents: row.respondents })),
+        topRepeatRespondents: result.top.map(({ _id, ...row }) => ({ respondentId: _id, ...row }))
+      };
     };
+
+    const starts = await repeatStats(Session, sessionMatch, '$timestamps.createdAt', 'starts', {
+      completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+    });
+    const submissions = await repeatStats(Survey, surveyMatch, '$submittedAt', 'submissions');
+
+    return { starts, submissions };
+  }
+
+  // Fill an analytics document's completion metadata from the sessions started
+  // between `start` and `end`. Periods with submissions but no sessions (direct
+  // submissions only) count as fully complete.
+  static async applyCompletionStats(analytics, start, end, campaignId = null) {
+    const stats = await this.getCompletionStats({
+      'timestamps.createdAt': { $gte: start, $lt: end },
+      ...CampaignService.scopeFilter(campaignId)
+    });
+
+    analytics.metadata.completionRate = stats.completionRate !== null
+      ? stats.completionRate
+      : (analytics.metadata.totalResponses > 0 ? 100 : 0);
+    analytics.metadata.averageCompletionTime = stats.averageCompletionTime || 0;
   }
   
-  static resetAmbassador() {
-    return {
-      interested: 0,
-      notInterested: 0,
-      strengths: { 'large-social-circle': 0, 'content-creation': 0, 'sharing-engaging': 0, 'tech-interested': 0, 'campus-events': 0, 'other': 0 },
-      benefits: { 'free-trial': 0, 'merchandise': 0, 'training': 0, 'internship': 0, 'certificates': 0, 'other': 0 }
-    };
+  // Process individual survey data
+  static async processSurveyData(analytics, survey, definition) {
+    analytics.totalSurveys++;
+    
+    // Bucket answers using the survey definition's analytics mapping
+    definition.countAnswers(analytics, survey.answers || {});
+    ANALYTICS_SECTIONS.forEach(section => analytics.markModified(section));
+    
+    const locale = survey.locale || DEFAULT_LOCALE;
+    analytics.locales[locale] = (analytics.locales[locale] || 0) + 1;
+    analytics.markModified('locales');
+  }
+  
+  // The definition version a survey was answered against, so its answers are
+  // bucketed as they were asked; the active one when the version is missing
+  static definitionOf(survey) {
+    return SurveyDefinitionService.getDefinition(survey.definitionVersion);
+  }
+
+  // Reset helper
+  static resetCounters(analytics, definition) {
+    analytics.totalSurveys = 0;
+    
+    const counters = definition.buildEmptyCounters();
+    ANALYTICS_SECTIONS.forEach(section => {
+      analytics[section] = counters[section];
+    });
+    
+    analytics.locales = {};
+    SUPPORTED_LOCALES.forEach(locale => {
+      analytics.locales[locale] = 0;
+    });
+  }
+  
+  // Merge aggregate rows ({ _id: answer, count }) into option buckets so display
+  // names and aliases are counted under the catalogue entry they resolve to.
+  // Rows that match no option keep their literal value and a null label.
+  static bucketRows(definition, field, rows) {
+    const question = definition.getQuestion(field);
+    if (!question || definition.getOptions(question).length === 0) {
+      return rows;
+    }
+
+    const buckets = new Map();
+    for (const row of rows) {
+      const option = row._id ? definition.findOption(question, row._id) : null;
+      const key = option ? option.value : row._id;
+      const bucket = buckets.get(key) || { _id: key, label: option ? option.label : null, count: 0 };
+      bucket.count += row.count;
+      buckets.set(key, bucket);
+    }
+
+    return [...buckets.values()].sort((a, b) => b.count - a.count);
   }
   
-  static resetTecnoExperience() {
-    return { 'yes-used': 0, 'heard-of': 0, 'never-heard': 0 };
+  // Borda-count / average-rank statistics for a ranking question, computed from
+  // surveys matching `match`. Legacy answers stored as ordered string arrays are
+  // ranked by position. Sorted by Borda score, best first.
+  static async getRankingStats(definition, question, match = {}, includePartials = false) {
+    const field = `$answers.${question.key}`;
+    const isObject = { $eq: [{ $type: '$item' }, 'object'] };
+    
+    const rows = await this.aggregateResponses([
+      { $match: { ...match, [`answers.${question.key}`]: { $type: 'array', $ne: [] } } },
+      { $project: { item: field, size: { $size: field } } },
+      { $unwind: { path: '$item', includeArrayIndex: 'position' } },
+      {
+        $project: {
+          size: 1,
+          value: { $cond: [isObject, '$item.value', '$item'] },
+          rank: { $cond: [isObject, '$item.rank', { $add: ['$position', 1] }] }
+        }
+      },
+      {
+        $group: {
+          _id: '$value',
+          bordaScore: { $sum: { $add: [{ $subtract: ['$size', '$rank'] }, 1] } },
+          rankSum: { $sum: '$rank' },
+          responses: { $sum: 1 },
+          firstChoice: { $sum: { $cond: [{ $eq: ['$rank', 1] }, 1, 0] } }
+        }
+      }
+    ], includePartials);
+    
+    // Merge legacy labels into their option and derive the average rank
+    const stats = {};
+    for (const row of rows) {
+      const option = row._id ? definition.findOption(question, row._id) : null;
+      if (!option) continue;
+      
+      const entry = stats[option.value] || { bordaScore: 0, rankSum: 0, responses: 0, firstChoice: 0 };
+      entry.bordaScore += row.bordaScore;
+      entry.rankSum += row.rankSum;
+      entry.responses += row.responses;
+      entry.firstChoice += row.firstChoice;
+      stats[option.value] = entry;
+    }
+    
+    return this.summarizeRanking(definition, question, stats);
+  }
+  
+  // Ranking counters ({ <option>: { bordaScore, rankSum, responses, firstChoice } },
+  // as stored on Analytics documents) as a list sorted by Borda score
+  static summarizeRanking(definition, question, counters = {}) {
+    return definition.getOptions(question)
+      .map(option => {
+        const entry = counters[option.value] || {};
+        const responses = entry.responses || 0;
+        return {
+          value: option.value,
+          label: option.label,
+          bordaScore: entry.bordaScore || 0,
+          averageRank: responses > 0 ? Math.round((entry.rankSum / responses) * 100) / 100 : null,
+          firstChoice: entry.firstChoice || 0,
+          responses
+        };
+      })
+      .sort((a, b) => b.bordaScore - a.bordaScore || (a.averageRank || Infinity) - (b.averageRank || Infinity));
+  }
+  
+  // Stored values that mean the same option as `value` (value, label and aliases),
+  // for matching surveys saved before answers were normalized
+  static answerVariants(definition, field, value) {
+    const question = definition.getQuestion(field);
+    const option = question ? definition.findOption(question, value) : null;
+
+    if (!option) {
+      return [value];
+    }
+    return [...new Set([option.value, option.label, ...(option.aliases || [])].filter(Boolean))];
   }
   
   // Get aggregated statistics
-  static async getAggregatedStats(date = new Date(), type = 'daily') {
+  static async getAggregatedStats(date = new Date(), type = 'daily', campaignId = null) {
     try {
       let analytics;
       
       switch (type) {
         case 'daily':
-          analytics = await Analytics.getDailyStats(date);
+          analytics = await Analytics.getDailyStats(date, campaignId);
           break;
         case 'weekly':
-          analytics = await Analytics.getWeeklyStats(date);
+          analytics = await Analytics.getWeeklyStats(date, campaignId);
           break;
         case 'monthly':
-          analytics = await Analytics.getMonthlyStats(date);
+          analytics = await Analytics.getMonthlyStats(date, campaignId);
           break;
         default:
           throw new Error('Invalid analytics type');
       }
       
-      if (!analytics) {
-        // Generate analytics if they don't exist
-        switch (type) {
-          case 'daily':
-            analytics = await this.generateDailyAnalytics(date);
-            break;
-          case 'weekly':
-            analytics = await this.generateWeeklyAnalytics(date);
-            break;
-          case 'monthly':
-            analytics = await this.generateMonthlyAnalytics(date);
-            break;
+      // A document whose first rebuild is still running has no counters yet
+      const generating = analytics && analytics.rebuild && analytics.rebuild.lockId && analytics.$isDefault('totalSurveys');
+
+      if (!analytics || generating) {
+        // Count the period from the surveys for now and generate the stored
+        // document in the background; submissions keep it current after that
+        [analytics] = await this.getSegmentAnalytics(date, date, type, CampaignService.scopeFilter(campaignId), campaignId);
+        if (!generating) {
+          this.runRebuild([{ type, date }], campaignId);
         }
       }
       
@@ -377,14 +964,15 @@ class AnalyticsService {
   }
   
   // Get trend data
-  static async getTrendData(days = 30, type = 'daily') {
+  static async getTrendData(days = 30, type = 'daily', campaignId = null) {
     try {
       const endDate = new Date();
       const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
       
       const analytics = await Analytics.find({
         date: { $gte: startDate, $lte: endDate },
-        type: type
+        type: type,
+        campaignId: campaignId || null
       }).sort({ date: 1 });
       
       return analytics;
@@ -394,6 +982,242 @@ class AnalyticsService {
       throw error;
     }
   }
+
+  // End of the period a cached analytics response covers (Infinity when it is
+  // open-ended), from the endpoint and the query it was cached under
+  static cachedUntil(endpoint, params = {}) {
+    if (params.to) {
+      const to = new Date(params.to);
+      return isNaN(to) ? Infinity : to.getTime();
+    }
+    if (params.from || !ANALYTICS_TYPES.includes(endpoint)) {
+      return Infinity;
+    }
+
+    const date = new Date(params.date);
+    return isNaN(date) ? Infinity : this.periodOf(date, endpoint).end.getTime();
+  }
+
+  // Start of the current period of a period endpoint, or of today (server-local)
+  // for the others; cache entries of requests without a date are keyed on it
+  static currentPeriodStart(endpoint, now = new Date()) {
+    return this.periodOf(now, ANALYTICS_TYPES.includes(endpoint) ? endpoint : 'daily').start;
+  }
+
+  // Start (inclusive) and end (exclusive) of the hour, day, week (from Sunday) or
+  // month containing `date`; days, weeks and months match generate*Analytics
+  static periodOf(date, type) {
+    switch (type) {
+      case 'hourly': {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours());
+        return { start, end: new Date(start.getTime() + 60 * 60 * 1000) };
+      }
+      case 'daily': {
+        // Next local midnight rather than 24 hours on, so DST days end at midnight too
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return { start, end: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1) };
+      }
+      case 'weekly': {
+        const start = new Date(date);
+        start.setDate(date.getDate() - date.getDay());
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start);
+        end.setDate(start.getDate() + 7);
+        return { start, end };
+      }
+      case 'monthly':
+        return {
+          start: new Date(date.getFullYear(), date.getMonth(), 1),
+          end: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+        };
+      default:
+        throw new Error('Invalid analytics type');
+    }
+  }
+
+  // Analytics of the periods overlapping `from`..`to` restricted to the surveys
+  // matching `filter` (a segment), and optionally the partial responses matching
+  // it too, computed on the fly rather than stored. Sessions do not carry the
+  // answers segments filter on, so completion figures are null.
+  static async getSegmentAnalytics(from, to, type, filter, campaignId = null, includePartials = false) {
+    const periods = [];
+    for (let period = this.periodOf(from, type); period.start <= to; period = this.periodOf(period.end, type)) {
+      periods.push(period);
+    }
+    if (periods.length === 0) {
+      return [];
+    }
+
+    const surveys = await this.findResponses({
+      $and: [filter, { submittedAt: { $gte: periods[0].start, $lt: periods[periods.length - 1].end } }]
+    }, includePartials);
+
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    const results = periods.map(({ start }) => {
+      const analytics = new Analytics({ date: start, type, campaignId: campaignId || null });
+      this.resetCounters(analytics, definition);
+      analytics.metadata.totalResponses = 0;
+      analytics.metadata.completionRate = null;
+      analytics.metadata.averageCompletionTime = null;
+      return analytics;
+    });
+
+    for (const survey of surveys) {
+      const index = periods.findIndex(period => survey.submittedAt >= period.start && survey.submittedAt < period.end);
+      await this.processSurveyData(results[index], survey, await this.definitionOf(survey));
+      results[index].metadata.totalResponses++;
+    }
+
+    return results;
+  }
+
+  // Add the counters of `source` (an Analytics document or counters object) to
+  // `target`. Average ranks are derived, so they are recomputed rather than added.
+  static mergeCounters(target, source, definition) {
+    const add = (into, from) => {
+      Object.entries(from || {}).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+          if (key !== 'averageRank') into[key] = (into[key] || 0) + value;
+        } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+          into[key] = into[key] && typeof into[key] === 'object' ? into[key] : {};
+          add(into[key], value);
+        }
+      });
+    };
+
+    target.totalSurveys += source.totalSurveys || 0;
+    ANALYTICS_SECTIONS.forEach(section => add(target[section], source[section]));
+    add(target.locales, source.locales);
+    definition.updateAverageRanks(target);
+  }
+
+  // Empty counters for one point of a range series
+  static emptyRangeCounters(definition, start, end) {
+    const counters = { start, end, totalSurveys: 0, ...definition.buildEmptyCounters(), locales: {} };
+    SUPPORTED_LOCALES.forEach(locale => {
+      counters.locales[locale] = 0;
+    });
+    return counters;
+  }
+
+  // Analytics of the surveys submitted between `from` (inclusive) and `to`
+  // (exclusive): totals for the whole range and a series by hour, day, week or
+  // month, with the first and last points cut at the range bounds.
+  //
+  // Whole days come from the stored daily Analytics documents, which submissions
+  // keep current; only the partial days at either end, days without a document
+  // and hourly series are counted from the surveys themselves. With a
+  // `filter` (a segment) everything is counted from the surveys and completion
+  // figures are null, as for getSegmentAnalytics. With `includePartials`,
+  // stored documents (surveys only) are skipped and partial responses are
+  // counted along with the surveys.
+  // Returns { from, to, granularity, totals, series, sources } or { error }.
+  static async getRangeStats(from, to, granularity = 'day', { campaignId = null, filter = null, includePartials = false } = {}) {
+    const period = RANGE_GRANULARITIES[granularity];
+    if (!period) {
+      return badRequest('invalid_granularity', `granularity must be one of ${Object.keys(RANGE_GRANULARITIES).join(', ')}`);
+    }
+    if (!(from < to)) {
+      return badRequest('invalid_range', 'from must be before to');
+    }
+
+    const series = [];
+    for (let start = from; start < to; start = this.periodOf(start, period).end) {
+      if (series.length === MAX_RANGE_POINTS) {
+        return badRequest('range_too_large', `The range has more than ${MAX_RANGE_POINTS} ${granularity} points; use a coarser granularity`);
+      }
+      series.push({ start, end: new Date(Math.min(this.periodOf(start, period).end, to)) });
+    }
+
+    const definition = await SurveyDefinitionService.getActiveDefinition();
+    const points = series.map(({ start, end }) => this.emptyRangeCounters(definition, start, end));
+    const pointAt = (date) => points.find(point => date >= point.start && date < point.end);
+
+    // Whole, finished days that stored daily documents can cover
+    const rawIntervals = [];
+    let storedDays = 0;
+    const firstDay = this.periodOf(new Date(from.getTime() - 1), 'daily').end;
+    const lastDayEnd = new Date(Math.min(this.periodOf(to, 'daily').start, this.periodOf(new Date(), 'daily').start));
+
+    if (period === 'hourly' || filter || includePartials || firstDay >= lastDayEnd) {
+      rawIntervals.push({ start: from, end: to });
+    } else {
+      const stored = await Analytics.find({
+        type: 'daily',
+        date: { $gte: firstDay, $lt: lastDayEnd },
+        campaignId: campaignId || null
+      }).lean();
+      const storedByDay = new Map(stored.map(doc => [doc.date.getTime(), doc]));
+
+      const addRaw = (start, end) => {
+        const last = rawIntervals[rawIntervals.length - 1];
+        if (last && last.end.getTime() === start.getTime()) {
+          last.end = end;
+        } else {
+          rawIntervals.push({ start, end });
+        }
+      };
+
+      if (from < firstDay) addRaw(from, firstDay);
+      for (let day = firstDay; day < lastDayEnd; day = this.periodOf(day, 'daily').end) {
+        const dayEnd = this.periodOf(day, 'daily').end;
+        const doc = storedByDay.get(day.getTime());
+        if (doc) {
+          this.mergeCounters(pointAt(day), doc, definition);
+          storedDays++;
+        } else {
+          addRaw(day, dayEnd);
+        }
+      }
+      if (lastDayEnd < to) addRaw(lastDayEnd, to);
+    }
+
+    let rawSurveys = 0;
+    if (rawIntervals.length > 0) {
+      const ranges = { $or: rawIntervals.map(({ start, end }) => ({ submittedAt: { $gte: start, $lt: end } })) };
+      const surveys = await this.findResponses({
+        $and: [filter || CampaignService.scopeFilter(campaignId), ranges]
+      }, includePartials);
+
+      for (const survey of surveys) {
+        const point = pointAt(survey.submittedAt);
+        point.totalSurveys++;
+        (await this.definitionOf(survey)).countAnswers(point, survey.answers || {});
+        const locale = survey.locale || DEFAULT_LOCALE;
+        point.locales[locale] = (point.locales[locale] || 0) + 1;
+      }
+      rawSurveys = surveys.length;
+    }
+
+    const totals = this.emptyRangeCounters(definition, from, to);
+    points.forEach(point => this.mergeCounters(totals, point, definition));
+
+    const completion = filter ? null : await this.getCompletionStats({
+      'timestamps.createdAt': { $gte: from, $lt: to },
+      ...CampaignService.scopeFilter(campaignId)
+    });
+    totals.metadata = {
+      totalResponses: totals.totalSurveys,
+      completionRate: completion ? completion.completionRate : null,
+      averageCompletionTime: completion ? completion.averageCompletionTime : null,
+      medianCompletionTime: completion ? completion.medianCompletionTime : null
+    };
+
+    return {
+      from,
+      to,
+      granularity,
+      totals,
+      series: points,
+      sources: {
+        storedDays,
+        rawIntervals: rawIntervals.length,
+        rawSurveys
+      }
+    };
+  }
 }
 
+AnalyticsService.ANALYTICS_TYPES = ANALYTICS_TYPES;
+
 module.exports = AnalyticsService;
@@ -0,0 +1,97 @@
+const { QUESTION_TYPES } = require('../config/surveyDefinition');
+const AnswerValidationService = require('./answerValidationService');
+
+// Operations accepted on session answers:
+//   set    - replace an answer                      { op: 'set', field, value }
+//   unset  - clear an answer back to its empty value { op: 'unset', field }
+//   add    - add one option to a multi-choice answer { op: 'add', field, value }
+//   remove - remove one option from it               { op: 'remove', field, value }
+const PATCH_OPERATIONS = ['set', 'unset', 'add', 'remove'];
+
+class AnswerPatchService {
+
+  // Express a save-progress `data` object as set operations. Keys that are not
+  // questions of the definition are ignored, as they always have been.
+  static fromData(definition, data) {
+    const body = data && typeof data === 'object' ? data : {};
+    return Object.keys(body)
+      .filter(field => definition.getQuestion(field))
+      .map(field => ({ op: 'set', field, value: body[field] }));
+  }
+
+  // Apply operations in order to a copy of `surveyData`. Every operation must target
+  // a question on `page`; set values and added items are validated like submitted
+  // answers. Returns { surveyData, changes, errors }, where `changes` holds an
+  // answer history entry for every operation that changed a value.
+  static apply(definition, surveyData, operations, page) {
+    const result = { ...surveyData };
+    const changes = [];
+    const errors = [];
+
+    if (!Array.isArray(operations)) {
+      errors.push({ code: 'invalid_operations', message: 'operations must be an array' });
+      return { surveyData: result, changes, errors };
+    }
+
+    const emptyAnswers = definition.buildEmptyAnswers();
+    const changedAt = new Date();
+
+    operations.forEach((operation, index) => {
+      const { op, field } = operation || {};
+      const question = field ? definition.getQuestion(field) : null;
+      const fail = (error) => {
+        errors.push({ index, field, ...error });
+      };
+
+      if (!PATCH_OPERATIONS.includes(op)) {
+        return fail({ code: 'invalid_operation', message: `Unknown operation ${JSON.stringify(op)}; expected one of ${PATCH_OPERATIONS.join(', ')}` });
+      }
+
+      if (!question) {
+        return fail({ code: 'unknown_field', message: `${field} is not a question of this survey` });
+      }
+
+      const pageErrors = AnswerValidationService.validatePage(definition, { [field]: true }, page);
+      if (pageErrors.length > 0) {
+        return pageErrors.forEach(fail);
+      }
+
+      const previous = result[field] === undefined ? emptyAnswers[field] : result[field];
+      let value;
+
+      if (op === 'set') {
+        const sanitized = definition.sanitizeAnswers({ [field]: operation.value });
+        const validation = AnswerValidationService.validate(definition, sanitized);
+        if (validation.errors.length > 0) {
+          return validation.errors.forEach(fail);
+        }
+        value = validation.answers[field];
+      } else if (op === 'unset') {
+        value = emptyAnswers[field];
+      } else {
+        if (question.type !== QUESTION_TYPES.MULTI_CHOICE) {
+          return fail({ code: 'not_multi_choice', message: `${op} only applies to multi-choice questions; use set for ${field}` });
+        }
+
+        const option = AnswerValidationService.matchOption(definition, question, operation.value);
+        if (option === null || option === '') {
+          return fail(AnswerValidationService.invalidOptionError(definition, question, operation.value));
+        }
+
+        const current = Array.isArray(previous) ? previous : [];
+        value = op === 'add'
+          ? (current.includes(option) ? current : [...current, option])
+          : current.filter(item => item !== option);
+      }
+
+      if (JSON.stringify(previous) !== JSON.stringify(value)) {
+        result[field] = value;
+        changes.push({ field, op, previous, value, page, changedAt });
+      }
+    });
+
+    return { surveyData: result, changes, errors };
+  }
+}
+
+module.exports = AnswerPatchService;
@@ -0,0 +1,196 @@
+const { QUESTION_TYPES } = require('../config/surveyDefinition');
+const { updateValidationMetrics } = require('../middleware/metrics');
+
+// Longest free-text answer accepted for text questions
+const TEXT_MAX_LENGTH = parseInt(process.env.SURVEY_TEXT_MAX_LENGTH) || 1000;
+
+class AnswerValidationService {
+
+  // Validate sanitized answers against a survey definition. Values that match an
+  // option value, label or alias loosely are normalized to the option value;
+  // anything else (including inactive options) is reported as a per-field error.
+  static validate(definition, answers) {
+    const normalized = {};
+    const errors = [];
+
+    for (const [field, value] of Object.entries(answers)) {
+      const question = definition.getQuestion(field);
+      if (!question) continue;
+
+      if (question.type === QUESTION_TYPES.BOOLEAN) {
+        normalized[field] = value;
+        continue;
+      }
+
+      if (question.type === QUESTION_TYPES.TEXT) {
+        const text = String(value).trim();
+        if (text.length > TEXT_MAX_LENGTH) {
+          errors.push({
+            field,
+            code: 'too_long',
+            message: `${field} must be at most ${TEXT_MAX_LENGTH} characters`
+          });
+          continue;
+        }
+        normalized[field] = text;
+        continue;
+      }
+
+      if (question.type === QUESTION_TYPES.RANKING) {
+        const result = this.validateRanking(definition, question, value);
+        errors.push(...result.errors);
+        if (result.errors.length === 0) {
+          normalized[field] = result.ranking;
+        }
+        continue;
+      }
+
+      if (definition.isArrayQuestion(question)) {
+        const values = [];
+        for (const item of value) {
+          const option = this.matchOption(definition, question, item);
+          if (option === null) {
+            errors.push(this.invalidOptionError(definition, question, item));
+          } else if (option !== '' && !values.includes(option)) {
+            values.push(option);
+          }
+        }
+        normalized[field] = values;
+        continue;
+      }
+
+      const option = this.matchOption(definition, question, value);
+      if (option === null) {
+        errors.push(this.invalidOptionError(definition, question, value));
+      } else {
+        normalized[field] = option;
+      }
+    }
+
+    errors.forEach(error => updateValidationMetrics(error.field, error.code));
+
+    return { answers: normalized, errors };
+  }
+
+  // Full submission pipeline shared by the submit endpoints and the definition
+  // preview: whitelist, validate, then drop answers the skip logic hides.
+  // `missing` lists required questions left unanswered.
+  static prepareSubmission(definition, input) {
+    const { answers, errors } = this.validate(definition, definition.sanitizeAnswers(input));
+    const visibleAnswers = definition.discardHiddenAnswers(answers);
+    const missing = definition.findMissingAnswers(visibleAnswers);
+
+    return { answers: visibleAnswers, errors, missing };
+  }
+
+  // Resolve a submitted value to an option value; '' for blank, null when unknown
+  static matchOption(definition, question, value) {
+    const text = value == null ? '' : String(value).trim();
+    if (text === '') {
+      return '';
+    }
+
+    // Questions without an option list accept any value
+    if (definition.getOptions(question).length === 0) {
+      return text;
+    }
+
+    const match = definition.findOption(question, text);
+    return match && match.active !== false ? match.value : null;
+  }
+
+  static invalidOptionError(definition, question, value) {
+    const options = definition.getOptions(question);
+    const inactive = definition.findOption(question, value);
+
+    return {
+      field: question.key,
+      code: inactive ? 'inactive_option' : 'invalid_option',
+      message: inactive
+        ? `${JSON.stringify(value)} is no longer offered for ${question.key}`
+        : `${JSON.stringify(value)} is not a valid option for ${question.key}`,
+      value,
+      allowed: options.filter(option => option.active !== false).map(option => option.value)
+    };
+  }
+
+  // A ranking must be a permutation of the question's active options: every item
+  // known, none repeated, and ranks exactly 1..n. Returns [{ value, rank }].
+  static validateRanking(definition, question, items) {
+    const errors = [];
+    const ranking = [];
+
+    if (items.length === 0) {
+      return { ranking, errors };
+    }
+
+    for (const item of items) {
+      const option = this.matchOption(definition, question, item.value);
+      if (option === null || option === '') {
+        errors.push(this.invalidOptionError(definition, question, item.value));
+      } else if (ranking.some(entry => entry.value === option)) {
+        errors.push({
+          field: question.key,
+          code: 'duplicate_rank_item',
+          message: `${option} is ranked more than once`,
+          value: option
+        });
+      } else {
+        ranking.push({ value: option, rank: item.rank });
+      }
+    }
+
+    const ranks = items.map(item => item.rank);
+    const expectedRanks = items.map((item, index) => index + 1);
+    if (ranks.some((rank, index) => rank !== expectedRanks[index])) {
+      errors.push({
+        field: question.key,
+        code: 'invalid_rank',
+        message: `Ranks for ${question.key} must be 1 to ${items.length} with no gaps or ties`,
+        value: ranks
+      });
+    }
+
+    const activeValues = definition.getOptions(question)
+      .filter(option => option.active !== false)
+      .map(option => option.value);
+    const missing = activeValues.filter(value => !ranking.some(entry => entry.value === value));
+    if (activeValues.length > 0 && missing.length > 0 && errors.length === 0) {
+      errors.push({
+        field: question.key,
+        code: 'incomplete_ranking',
+        message: `${question.key} must rank every option; missing ${missing.join(', ')}`,
+        missing
+      });
+    }
+
+    return { ranking, errors };
+  }
+
+  // Report answers submitted on a page they do not belong to
+  static validatePage(definition, answers, page) {
+    const errors = Object.keys(answers)
+      .filter(field => definition.getQuestion(field).page !== page)
+      .map(field => ({
+        field,
+        code: 'wrong_page',
+        message: `${field} does not belong to page ${page}`
+      }));
+
+    errors.forEach(error => updateValidationMetrics(error.field, error.code));
+
+    return errors;
+  }
+
+  // Consistent 422 response body for rejected answers
+  static buildErrorResponse(errors, message = 'Survey answers failed validation', extra = {}) {
+    return {
+      success: false,
+      message,
+      errors,
+      ...extra
+    };
+  }
+}
+
+module.exports = AnswerValidationService;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Survey = require('../models/Survey');
+
+class CampaignService {
+
+  // Look up a campaign by id; null for malformed or unknown ids
+  static async findCampaign(campaignId) {
+    if (!campaignId || !mongoose.Types.ObjectId.isValid(campaignId)) {
+      return null;
+    }
+
+    return Campaign.findById(campaignId);
+  }
+
+  // Check that a new session or submission may be recorded against a campaign.
+  // Returns { campaign } when allowed, or { error: { status, code, message } }.
+  static async checkAcceptingResponses(campaignId, university = null) {
+    if (!campaignId) {
+      return { campaign: null };
+    }
+
+    const campaign = await this.findCampaign(campaignId);
+
+    if (!campaign) {
+      return { error: { status: 404, code: 'campaign_not_found', message: 'Campaign not found' } };
+    }
+
+    if (!campaign.isAcceptingResponses()) {
+      return { error: { status: 403, code: 'campaign_closed', message: `Campaign "${campaign.name}" is closed` } };
+    }
+
+    if (!campaign.allowsUniversity(university)) {
+      return { error: { status: 422, code: 'university_not_in_campaign', message: `${university} is not part of campaign "${campaign.name}"` } };
+    }
+
+    return { campaign };
+  }
+
+  // Mongo filter scoping surveys, sessions and analytics to a campaign.
+  // Ids are cast here because aggregate pipelines are not cast by Mongoose.
+  static scopeFilter(campaignId) {
+    return campaignId ? { campaignId: new mongoose.Types.ObjectId(String(campaignId)) } : {};
+  }
+
+  // Responses collected so far against the campaign's target
+  static async getProgress(campaign) {
+    const responses = await Survey.countDocuments(this.scopeFilter(campaign._id));
+    const target = campaign.targetResponses || 0;
+
+    return {
+      responses,
+      targetResponses: target,
+      percentComplete: target > 0 ? Math.round((responses / target) * 10000) / 100 : null
+    };
+  }
+}
+
+module.exports = CampaignService;
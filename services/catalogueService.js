@@ -0,0 +1,89 @@
+const CatalogueEntry = require('../models/CatalogueEntry');
+
+// How long a worker keeps catalogue entries before re-reading them (seconds)
+const CATALOGUE_CACHE_TTL = parseInt(process.env.CATALOGUE_CACHE_TTL) || 60;
+
+// catalogue name -> options ({ value, label, aliases, active }), inactive included
+let catalogueOptions = null;
+let catalogueLoadedAt = 0;
+
+class CatalogueService {
+
+  // All catalogues as option lists, cached per worker
+  static async loadCatalogues() {
+    const isFresh = catalogueOptions && (Date.now() - catalogueLoadedAt) < CATALOGUE_CACHE_TTL * 1000;
+    if (isFresh) {
+      return catalogueOptions;
+    }
+
+    const entries = await CatalogueEntry.find().sort({ catalogue: 1, sortOrder: 1, displayName: 1 });
+    const options = new Map();
+    entries.forEach(entry => {
+      if (!options.has(entry.catalogue)) options.set(entry.catalogue, []);
+      options.get(entry.catalogue).push(entry.toOption());
+    });
+
+    catalogueOptions = options;
+    catalogueLoadedAt = Date.now();
+
+    return options;
+  }
+
+  // Attach catalogue options to a survey definition (see SurveyDefinition#getOptions).
+  // Catalogues that do not exist yet are seeded from the question's inline options
+  // unless `seed` is false, in which case those questions use the inline options.
+  static async applyCatalogues(definition, { seed = true } = {}) {
+    const names = definition.getCatalogueNames();
+    if (names.length === 0) {
+      return definition;
+    }
+
+    let options = await this.loadCatalogues();
+    const missing = names.filter(name => !options.has(name));
+
+    if (seed && missing.length > 0) {
+      for (const name of missing) {
+        const question = definition.questions.find(item => item.catalogue === name);
+        await this.seedCatalogue(name, question.options);
+      }
+      this.clearCache();
+      options = await this.loadCatalogues();
+    }
+
+    definition.$locals.catalogueOptions = options;
+    return definition;
+  }
+
+  // Create catalogue entries from a definition's inline option list
+  static async seedCatalogue(catalogue, options) {
+    const operations = options.map((option, index) => ({
+      updateOne: {
+        filter: { catalogue, value: option.value },
+        update: {
+          $setOnInsert: {
+            catalogue,
+            value: option.value,
+            displayName: option.label || option.value,
+            aliases: option.aliases || [],
+            active: option.active !== false,
+            sortOrder: index
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    if (operations.length > 0) {
+      await CatalogueEntry.bulkWrite(operations);
+      console.log(`✅ Seeded catalogue ${catalogue} with ${operations.length} entries`);
+    }
+  }
+
+  // Drop cached catalogues so the next read goes to the database
+  static clearCache() {
+    catalogueOptions = null;
+    catalogueLoadedAt = 0;
+  }
+}
+
+module.exports = CatalogueService;
@@ -0,0 +1,62 @@
+const UAParser = require('ua-parser-js');
+
+// Device classes stored in metadata.deviceType. ua-parser-js leaves the type
+// empty for desktops, so those are recognised by their operating system.
+const DEVICE_TYPES = ['mobile', 'tablet', 'desktop', 'smarttv', 'console', 'wearable', 'embedded', 'unknown'];
+const DESKTOP_OS = ['Windows', 'Mac OS', 'macOS', 'Linux', 'Ubuntu', 'Debian', 'Fedora', 'Chromium OS', 'FreeBSD', 'OpenBSD'];
+
+const UNKNOWN = 'unknown';
+
+class DeviceDetectionService {
+
+  // Device, OS and browser of a User-Agent string:
+  // { deviceType, deviceVendor, deviceModel, os, osVersion, browser, browserVersion }.
+  // `hints` ({ deviceType, browser }, as sent by the client) only fill in what the
+  // User-Agent does not reveal.
+  static parse(userAgent, hints = {}) {
+    const result = userAgent ? new UAParser(userAgent).getResult() : { device: {}, os: {}, browser: {} };
+
+    let deviceType = result.device.type || (DESKTOP_OS.includes(result.os.name) ? 'desktop' : null);
+    if (!deviceType && typeof hints.deviceType === 'string') {
+      const hinted = hints.deviceType.trim().toLowerCase();
+      deviceType = DEVICE_TYPES.includes(hinted) ? hinted : null;
+    }
+
+    return {
+      deviceType: deviceType || UNKNOWN,
+      deviceVendor: result.device.vendor || null,
+      deviceModel: result.device.model || null,
+      os: result.os.name || UNKNOWN,
+      osVersion: result.os.version || null,
+      browser: result.browser.name || (typeof hints.browser === 'string' && hints.browser.trim()) || UNKNOWN,
+      browserVersion: result.browser.version || null
+    };
+  }
+
+  // Device of the client making `req`, with the optional body hints
+  static fromRequest(req) {
+    const body = req.body || {};
+    return {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      ...this.parse(req.get('User-Agent'), { deviceType: body.deviceType, browser: body.browser })
+    };
+  }
+
+  // Survey.device subdocument for session metadata or a fromRequest() result
+  static toSurveyDevice(device = {}) {
+    return {
+      type: device.deviceType || UNKNOWN,
+      vendor: device.deviceVendor || null,
+      model: device.deviceModel || null,
+      os: device.os || UNKNOWN,
+      osVersion: device.osVersion || null,
+      browser: device.browser || UNKNOWN,
+      browserVersion: device.browserVersion || null
+    };
+  }
+}
+
+DeviceDetectionService.DEVICE_TYPES = DEVICE_TYPES;
+
+module.exports = DeviceDetectionService;
@@ -0,0 +1,105 @@
+const Analytics = require('../models/Analytics');
+const Session = require('../models/Session');
+const Survey = require('../models/Survey');
+const PartialResponse = require('../models/PartialResponse');
+
+// Idempotent data migrations for indexes and fields added after data already
+// existed. They run once per start-up in the background job process (see
+// onBackgroundJobsElected in config/cluster.js); each is a no-op once applied.
+class MigrationService {
+
+  static async runAll() {
+    try {
+      await this.dedupeAnalyticsPeriods();
+      await this.migrateSessionRetention();
+      await this.migrateAnswerFields();
+    } catch (error) {
+      console.error('❌ Migration error:', error);
+    }
+  }
+
+  // Keep one analytics document per period and scope, the most recently updated,
+  // so the unique { type, date, campaignId } index can be built. Rebuild the
+  // affected periods afterwards if the kept document may be stale.
+  static async dedupeAnalyticsPeriods() {
+    const duplicates = await Analytics.aggregate([
+      { $sort: { updatedAt: -1 } },
+      { $group: { _id: { type: '$type', date: '$date', campaignId: '$campaignId' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]).allowDiskUse(true);
+
+    if (duplicates.length > 0) {
+      const extraIds = duplicates.flatMap(group => group.ids.slice(1));
+      await Analytics.deleteMany({ _id: { $in: extraIds } });
+      console.log(`🧹 Removed ${extraIds.length} duplicate analytics documents in ${duplicates.length} periods`);
+    }
+
+    // The unique index fails to build while duplicates exist; build it now
+    await Analytics.createIndexes();
+    return duplicates.length;
+  }
+
+  // Sessions used to expire through a TTL index on timestamps.lastActivity, which
+  // also deleted completed sessions after a day. Drop it and date the sessions
+  // stored before retainUntil so the TTL index on retainUntil covers them.
+  static async migrateSessionRetention() {
+    // A fresh database has no sessions collection yet
+    const indexes = await Session.collection.indexes().catch(error => {
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+    const legacyTtl = indexes.find(index =>
+      index.expireAfterSeconds !== undefined && index.key['timestamps.lastActivity'] !== undefined
+    );
+    if (legacyTtl) {
+      await Session.collection.dropIndex(legacyTtl.name);
+      console.log(`🧹 Dropped legacy session TTL index ${legacyTtl.name}`);
+    }
+
+    const result = await Session.backfillRetainUntil();
+    if (result.modifiedCount > 0) {
+      console.log(`🗓️ Set retainUntil on ${result.modifiedCount} existing sessions`);
+    }
+    return result.modifiedCount;
+  }
+
+  // Surveys and partial responses used to store each answer as a top-level field.
+  // Move every field the schema does not know under `answers`, then replace the
+  // indexes on the old answer fields with those on `answers.<question>`.
+  static async migrateAnswerFields() {
+    let migrated = 0;
+    for (const Model of [Survey, PartialResponse]) {
+      const known = [...new Set(['_id', '__v', ...Object.keys(Model.schema.paths).map(path => path.split('.')[0])])];
+      const isKnown = { $in: ['$$this.k', known] };
+      const fields = (cond) => ({ $arrayToObject: { $filter: { input: { $objectToArray: '$$ROOT' }, cond } } });
+
+      const result = await Model.updateMany(
+        { answers: { $exists: false } },
+        [{ $replaceWith: { $mergeObjects: [fields(isKnown), { answers: fields({ $not: [isKnown] }) }] } }],
+        { timestamps: false }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`🗂️ Moved the answers of ${result.modifiedCount} ${Model.collection.name} under answers`);
+      }
+      migrated += result.modifiedCount;
+
+      // A fresh database has no collection yet
+      const indexes = await Model.collection.indexes().catch(error => {
+        if (error.codeName === 'NamespaceNotFound') return [];
+        throw error;
+      });
+      const legacy = indexes.filter(index => Object.keys(index.weights || index.key)
+        .some(field => !field.startsWith('answers.') && !known.includes(field.split('.')[0])));
+      for (const index of legacy) {
+        await Model.collection.dropIndex(index.name);
+        console.log(`🧹 Dropped legacy ${Model.collection.name} index ${index.name}`);
+      }
+      if (legacy.length > 0) {
+        await Model.createIndexes();
+      }
+    }
+    return migrated;
+  }
+}
+
+module.exports = MigrationService;
@@ -0,0 +1,85 @@
+const Session = require('../models/Session');
+const PartialResponse = require('../models/PartialResponse');
+const SurveyDefinitionService = require('./surveyDefinitionService');
+const DeviceDetectionService = require('./deviceDetectionService');
+const { cacheService } = require('../config/redis');
+
+// Opt-in: keep the answers of abandoned and expired sessions as PartialResponses
+const PARTIAL_RESPONSES_ENABLED = process.env.PARTIAL_RESPONSES_ENABLED === 'true';
+
+class PartialResponseService {
+
+  static isEnabled() {
+    return PARTIAL_RESPONSES_ENABLED;
+  }
+
+  // Answers the respondent actually gave: questions on pages they saved that are
+  // visible on their path. Unsaved pages only hold empty defaults (false for
+  // booleans), which would otherwise be counted as answers.
+  static answeredOnly(definition, session) {
+    const savedPages = new Set((session.pageTimings || []).map(timing => timing.page));
+    const answers = definition.discardHiddenAnswers(session.surveyData || {});
+    const result = {};
+
+    for (const question of definition.questions) {
+      if (savedPages.has(question.page) && definition.isAnswered(question, answers)) {
+        result[question.key] = answers[question.key];
+      }
+    }
+    return result;
+  }
+
+  // Store the answers of the given abandoned or expired sessions. A session
+  // captured as abandoned is updated when it later expires. Sessions without
+  // saved answers are skipped. Returns the number of partials written.
+  static async capture(sessionIds) {
+    if (!PARTIAL_RESPONSES_ENABLED || sessionIds.length === 0) {
+      return 0;
+    }
+
+    const sessions = await Session.find({
+      sessionId: { $in: sessionIds },
+      status: { $in: ['abandoned', 'expired'] }
+    }).lean();
+
+    let captured = 0;
+    for (const session of sessions) {
+      const definition = await SurveyDefinitionService.getDefinition(session.definitionVersion);
+      const answers = this.answeredOnly(definition, session);
+
+      if (Object.keys(answers).length === 0) {
+        continue;
+      }
+
+      await PartialResponse.updateOne(
+        { sessionId: session.sessionId },
+        {
+          $set: {
+            answers,
+            campaignId: session.campaignId || null,
+            definitionVersion: session.definitionVersion,
+            locale: session.locale,
+            incomplete: true,
+            reason: session.status,
+            lastPage: session.currentPage,
+            answeredFields: Object.keys(answers),
+            device: DeviceDetectionService.toSurveyDevice(session.metadata),
+            startedAt: session.timestamps.createdAt,
+            submittedAt: session.timestamps.lastActivity
+          }
+        },
+        { upsert: true }
+      );
+      // Cached analytics counting partials (?includePartials=true) now miss it
+      await cacheService.invalidateAnalytics(session.campaignId, session.timestamps.lastActivity);
+      captured++;
+    }
+
+    if (captured > 0) {
+      console.log(`🧩 Captured ${captured} partial response(s)`);
+    }
+    return captured;
+  }
+}
+
+module.exports = PartialResponseService;
@@ -0,0 +1,128 @@
+const Quota = require('../models/Quota');
+const Survey = require('../models/Survey');
+const CampaignService = require('./campaignService');
+
+// Mongo operator for each quota condition operator (used when recounting)
+const CONDITION_FILTERS = {
+  equals: value => value,
+  notEquals: value => ({ $ne: value }),
+  in: value => ({ $in: [].concat(value) }),
+  notIn: value => ({ $nin: [].concat(value) })
+};
+
+class QuotaService {
+
+  // Error shape shared with CampaignService.checkAcceptingResponses
+  static quotaFullError(quota) {
+    return {
+      status: 409,
+      code: 'quota_full',
+      message: `Quota "${quota.name}" is full`,
+      quotaId: quota._id
+    };
+  }
+
+  // Whether every field a quota's cell depends on has an answer
+  static canEvaluate(quota, answers) {
+    return quota.conditions.every(condition => {
+      const answer = answers[condition.field];
+      return answer !== undefined && answer !== null && answer !== '' &&
+        !(Array.isArray(answer) && answer.length === 0);
+    });
+  }
+
+  static matches(definition, quota, answers) {
+    return quota.conditions.every(condition => definition.evaluateCondition(condition, answers));
+  }
+
+  // Refuse a session early when the answers known so far (e.g. screening answers
+  // given at session creation) already fall into a full, non-flagging cell.
+  // Cells that depend on unanswered fields are checked at submit time instead.
+  static async checkAvailability(definition, answers, campaignId = null) {
+    const quotas = await Quota.findApplicable(campaignId);
+
+    const full = quotas.find(quota =>
+      quota.action !== 'flag' &&
+      quota.isFull() &&
+      this.canEvaluate(quota, answers) &&
+      this.matches(definition, quota, answers)
+    );
+
+    return full ? { error: this.quotaFullError(full) } : {};
+  }
+
+  // Count a submission against every cell it falls into. Reservations are atomic,
+  // so concurrent submissions cannot overfill a cell. Returns { reserved, flagged }
+  // (quota ids) or { error } when a rejecting or closed cell is full, in which
+  // case nothing stays reserved.
+  static async reserve(definition, answers, campaignId = null) {
+    const quotas = await Quota.findApplicable(campaignId);
+    const reserved = [];
+    const flagged = [];
+
+    for (const quota of quotas.filter(item => this.matches(definition, item, answers))) {
+      const updated = await Quota.findOneAndUpdate(
+        { _id: quota._id, status: 'open', $expr: { $lt: ['$count', '$limit'] } },
+        { $inc: { count: 1 } },
+        { new: true }
+      );
+
+      if (updated) {
+        reserved.push(updated._id);
+
+        if (updated.action === 'close' && updated.count >= updated.limit) {
+          await Quota.updateOne({ _id: updated._id, status: 'open' }, { status: 'closed', closedAt: new Date() });
+          console.log(`🔒 Quota closed: ${updated.name} (${updated.count}/${updated.limit})`);
+        }
+      } else if (quota.action === 'flag') {
+        flagged.push(quota._id);
+      } else {
+        await this.release(reserved);
+        return { error: this.quotaFullError(quota) };
+      }
+    }
+
+    return { reserved, flagged };
+  }
+
+  // Give back reservations for a submission that was not saved
+  static async release(quotaIds) {
+    if (!quotaIds || quotaIds.length === 0) return;
+    await Quota.updateMany({ _id: { $in: quotaIds }, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+
+  // Mongo filter for the stored surveys counted against a quota
+  static buildSurveyFilter(quota) {
+    const filter = {
+      ...CampaignService.scopeFilter(quota.campaignId),
+      quotaFlags: { $ne: quota._id }
+    };
+
+    quota.conditions.forEach(condition => {
+      const toFilter = CONDITION_FILTERS[condition.operator] || CONDITION_FILTERS.equals;
+      filter[`answers.${condition.field}`] = toFilter(condition.value);
+    });
+
+    return filter;
+  }
+
+  // Reset a quota's count from the stored surveys (after edits or data clean-up)
+  static async recount(quota) {
+    quota.count = await Survey.countDocuments(this.buildSurveyFilter(quota));
+    await quota.save();
+    return quota;
+  }
+
+  // Progress of the quotas applying to a campaign, or of every active quota
+  static async getProgress(campaignId = null) {
+    const quotas = campaignId
+      ? await Quota.findApplicable(campaignId)
+      : await Quota.find({ active: true });
+
+    return quotas
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(quota => quota.toProgress());
+  }
+}
+
+module.exports = QuotaService;
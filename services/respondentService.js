@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Anonymous respondent identity: a random id, signed so clients cannot pick or
+// forge one, kept in an httpOnly cookie. Clients that cannot use cookies get the
+// same token in the X-Respondent-Token response header and send it back in
+// that header. Nothing about the person is stored.
+const COOKIE_NAME = 'respondent';
+const TOKEN_HEADER = 'X-Respondent-Token';
+const RESPONDENT_SECRET = process.env.RESPONDENT_SECRET || process.env.JWT_SECRET || 'change-this-respondent-secret';
+const RESPONDENT_COOKIE_MAX_AGE_DAYS = parseInt(process.env.RESPONDENT_COOKIE_MAX_AGE_DAYS) || 365;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+class RespondentService {
+
+  static signature(respondentId) {
+    return crypto.createHmac('sha256', RESPONDENT_SECRET).update(respondentId).digest('base64url');
+  }
+
+  // '<respondentId>.<signature>'
+  static sign(respondentId) {
+    return `${respondentId}.${this.signature(respondentId)}`;
+  }
+
+  // Respondent id of a token, or null when it is malformed or not signed by us
+  static verify(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [respondentId, signature] = token.split('.');
+    if (!UUID_PATTERN.test(respondentId || '') || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signature(respondentId));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? respondentId : null;
+  }
+
+  // Token sent with the request: the header first, then the cookie
+  static readToken(req) {
+    const header = req.get(TOKEN_HEADER);
+    if (header) {
+      return header;
+    }
+
+    const cookie = (req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${COOKIE_NAME}=`));
+    return cookie ? decodeURIComponent(cookie.slice(COOKIE_NAME.length + 1)) : null;
+  }
+
+  // Respondent making the request; a new one when the request carries no valid
+  // token. The cookie is (re)issued either way so its expiry slides forward.
+  // Returns { respondentId, returning }.
+  static identify(req, res) {
+    const existing = this.verify(this.readToken(req));
+    const respondentId = existing || uuidv4();
+    const token = this.sign(respondentId);
+    const production = process.env.NODE_ENV === 'production';
+
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: true,
+      secure: production,
+      // The frontend is served from another origin in production
+      sameSite: production ? 'none' : 'lax',
+      maxAge: RESPONDENT_COOKIE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
+      path: '/api'
+    });
+    res.set(TOKEN_HEADER, token);
+
+    return { respondentId, returning: Boolean(existing) };
+  }
+}
+
+RespondentService.COOKIE_NAME = COOKIE_NAME;
+RespondentService.TOKEN_HEADER = TOKEN_HEADER;
+
+module.exports = RespondentService;
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Segment = require('../models/Segment');
+const AnalyticsService = require('./analyticsService');
+const { QUESTION_TYPES } = require('../config/surveyDefinition');
+
+// Filter parameters that are not survey questions
+const RESERVED_FILTERS = ['from', 'to', 'deviceType', 'os'];
+
+class SegmentService {
+
+  // Segment by id or by name, or null
+  static async findSegment(idOrName) {
+    if (!idOrName) {
+      return null;
+    }
+
+    if (mongoose.Types.ObjectId.isValid(idOrName)) {
+      const segment = await Segment.findById(idOrName);
+      if (segment) {
+        return segment;
+      }
+    }
+    return Segment.findOne({ name: String(idOrName) });
+  }
+
+  // Problems with a segment's filters: unknown parameters, questions that
+  // cannot be filtered on, invalid dates. Returns a list of messages.
+  static validateFilters(definition, filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      return ['filters must be an object'];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(filters)) {
+      if (RESERVED_FILTERS.includes(key)) continue;
+
+      const question = definition.getQuestion(key);
+      if (!question) {
+        errors.push(`Unknown filter: ${key}`);
+      } else if (![QUESTION_TYPES.SINGLE_CHOICE, QUESTION_TYPES.MULTI_CHOICE, QUESTION_TYPES.BOOLEAN].includes(question.type)) {
+        errors.push(`${key} is a ${question.type} question and cannot be filtered on`);
+      }
+    }
+
+    const { error } = AnalyticsService.buildSurveyFilter(definition, filters);
+    if (error) {
+      errors.push(error.message);
+    }
+    return errors;
+  }
+
+  // Survey filter selecting the segment's respondents
+  static toSurveyFilter(definition, segment) {
+    const { filter } = AnalyticsService.buildSurveyFilter(definition, segment.filters || {}, segment.campaignId);
+    return filter || {};
+  }
+
+  // Fingerprint of what the segment selects; cached analytics are keyed on it
+  // so editing a segment never serves results of its old definition
+  static definitionHash(segment) {
+    const filters = segment.filters || {};
+    const canonical = JSON.stringify({
+      campaignId: segment.campaignId ? String(segment.campaignId) : null,
+      filters: Object.keys(filters).sort().map(key => [key, filters[key]])
+    });
+    return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 16);
+  }
+}
+
+SegmentService.RESERVED_FILTERS = RESERVED_FILTERS;
+
+module.exports = SegmentService;
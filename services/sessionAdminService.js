@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const AnalyticsService = require('./analyticsService');
+
+// Fields the admin listing can be sorted by; each is always set on a session
+const SORT_FIELDS = {
+  createdAt: 'timestamps.createdAt',
+  lastActivity: 'timestamps.lastActivity',
+  currentPage: 'currentPage'
+};
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Fields returned per session in the listing
+const LIST_FIELDS = 'sessionId userId status campaignId surveyId definitionVersion locale revision currentPage totalPages ' +
+  'surveyData.university metadata.deviceType metadata.os metadata.browser timestamps completionTimeMs';
+
+const invalid = (code, message) => ({ error: { status: 400, code, message } });
+
+class SessionAdminService {
+
+  // Opaque cursor for the page after `session`: its sort value and _id
+  static encodeCursor(session, sortPath) {
+    const value = sortPath.split('.').reduce((current, key) => (current ? current[key] : undefined), session);
+    return Buffer.from(JSON.stringify({ v: value, id: String(session._id) })).toString('base64url');
+  }
+
+  static decodeCursor(cursor, sortField) {
+    try {
+      const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!mongoose.Types.ObjectId.isValid(id) || v === undefined || v === null) {
+        return null;
+      }
+      return { value: sortField === 'currentPage' ? Number(v) : new Date(v), id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // MongoDB filter for the listing query. Returns { filter } or { error }.
+  static buildFilter(definition, query, campaignId) {
+    const filter = campaignId ? { campaignId } : {};
+
+    if (query.status) {
+      filter.status = { $in: String(query.status).split(',').map(status => status.trim()) };
+    }
+
+    const start = query.from ? new Date(query.from) : null;
+    const end = query.to ? new Date(query.to) : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return invalid('invalid_date', 'from and to must be valid dates');
+    }
+    if (start || end) {
+      filter['timestamps.createdAt'] = {
+        ...(start && { $gte: start }),
+        ...(end && { $lte: end })
+      };
+    }
+
+    if (query.currentPage !== undefined) {
+      const currentPage = parseInt(query.currentPage);
+      if (Number.isNaN(currentPage)) {
+        return invalid('invalid_page', 'currentPage must be a number');
+      }
+      filter.currentPage = currentPage;
+    }
+
+    if (query.deviceType) filter['metadata.deviceType'] = query.deviceType;
+    if (query.os) filter['metadata.os'] = query.os;
+    if (query.browser) filter['metadata.browser'] = query.browser;
+    if (query.university) {
+      filter['surveyData.university'] = { $in: AnalyticsService.answerVariants(definition, 'university', query.university) };
+    }
+
+    return { filter };
+  }
+
+  // One page of sessions matching the query, newest first by default.
+  // Query: status (comma-separated), from, to, currentPage, deviceType, os,
+  // browser, university, sort (createdAt|lastActivity|currentPage), order
+  // (asc|desc), limit, cursor (nextCursor of the previous page).
+  // Returns { sessions, pageInfo } or { error }.
+  static async list(definition, query = {}, campaignId = null) {
+    const sortField = query.sort || 'createdAt';
+    const sortPath = SORT_FIELDS[sortField];
+    if (!sortPath) {
+      return invalid('invalid_sort', `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const order = query.order === 'asc' ? 1 : -1;
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const { filter, error } = this.buildFilter(definition, query, campaignId);
+    if (error) {
+      return { error };
+    }
+
+    // Keyset pagination: continue after the last (sort value, _id) returned
+    if (query.cursor) {
+      const cursor = this.decodeCursor(query.cursor, sortField);
+      if (!cursor) {
+        return invalid('invalid_cursor', 'cursor is invalid');
+      }
+
+      const after = order === 1 ? '$gt' : '$lt';
+      filter.$and = [{
+        $or: [
+          { [sortPath]: { [after]: cursor.value } },
+          { [sortPath]: cursor.value, _id: { [after]: cursor.id } }
+        ]
+      }];
+    }
+
+    const rows = await Session.find(filter)
+      .sort({ [sortPath]: order, _id: order })
+      .limit(limit + 1)
+      .select(LIST_FIELDS)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const sessions = rows.slice(0, limit);
+
+    return {
+      sessions: sessions.map(session => this.toSummary(session)),
+      pageInfo: {
+        limit,
+        sort: sortField,
+        order: order === 1 ? 'asc' : 'desc',
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(sessions[sessions.length - 1], sortPath) : null
+      }
+    };
+  }
+
+  static toSummary(session) {
+    const metadata = session.metadata || {};
+    const timestamps = session.timestamps || {};
+
+    return {
+      sessionId: session.sessionId,
+      userId: session.userId || null,
+      status: session.status,
+      campaignId: session.campaignId || null,
+      surveyId: session.surveyId || null,
+      definitionVersion: session.definitionVersion,
+      locale: session.locale,
+      revision: session.revision || 0,
+      currentPage: session.currentPage,
+      totalPages: session.totalPages,
+      university: (session.surveyData && session.surveyData.university) || null,
+      device: {
+        type: metadata.deviceType || null,
+        os: metadata.os || null,
+        browser: metadata.browser || null
+      },
+      createdAt: timestamps.createdAt,
+      lastActivity: timestamps.lastActivity,
+      completedAt: timestamps.completedAt || null,
+      completionTimeMs: session.completionTimeMs || null
+    };
+  }
+
+  // Everything that happened to a session, oldest first: creation, page saves,
+  // answer edits, device hand-offs, resume codes and status changes
+  static buildTimeline(session) {
+    const timestamps = session.timestamps || {};
+    const events = [];
+    const add = (at, type, details = {}) => {
+      if (at) {
+        events.push({ at: new Date(at), type, ...details });
+      }
+    };
+
+    add(timestamps.createdAt, 'created', {
+      device: {
+        type: session.metadata && session.metadata.deviceType,
+        os: session.metadata && session.metadata.os,
+        browser: session.metadata && session.metadata.browser
+      }
+    });
+
+    (session.pageTimings || []).forEach(timing => {
+      add(timing.exitedAt, 'page_saved', { page: timing.page, enteredAt: timing.enteredAt, durationMs: timing.durationMs });
+    });
+
+    (session.answerHistory || []).forEach(change => {
+      add(change.changedAt, 'answer_changed', {
+        page: change.page,
+        field: change.field,
+        op: change.op,
+        previous: change.previous,
+        value: change.value
+      });
+    });
+
+    ((session.metadata && session.metadata.handoffs) || []).forEach(handoff => {
+      add(handoff.claimedAt, 'device_handoff', { from: handoff.from, to: handoff.to });
+    });
+
+    if (session.resume && session.resume.issuedAt) {
+      add(session.resume.issuedAt, 'resume_code_issued', { expiresAt: session.resume.expiresAt });
+    }
+
+    add(timestamps.abandonedAt, 'abandoned');
+    add(timestamps.expiredAt, 'expired');
+    add(timestamps.completedAt, 'completed', { surveyId: session.surveyId || null, completionTimeMs: session.completionTimeMs || null });
+
+    // Events at the same instant keep the order they were added in
+    return events
+      .map((event, index) => ({ event, index }))
+      .sort((a, b) => a.event.at - b.event.at || a.index - b.index)
+      .map(({ event }) => event);
+  }
+
+  // Full admin view of one session, or null when it does not exist
+  static async getDetail(sessionId) {
+    const session = await Session.findOne({ sessionId }).lean();
+    if (!session) {
+      return null;
+    }
+
+    // The resume code hash is a credential; only say whether a code is outstanding
+    const { resume, ...rest } = session;
+
+    return {
+      session: {
+        ...rest,
+        resume: resume && resume.issuedAt ? { issuedAt: resume.issuedAt, expiresAt: resume.expiresAt } : null
+      },
+      timeline: this.buildTimeline(session)
+    };
+  }
+}
+
+SessionAdminService.SORT_FIELDS = Object.keys(SORT_FIELDS);
+
+module.exports = SessionAdminService;
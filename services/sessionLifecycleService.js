@@ -0,0 +1,141 @@
+const Session = require('../models/Session');
+const { cacheService } = require('../config/redis');
+const { auditManager } = require('../middleware/audit');
+const { updateSessionMetrics } = require('../middleware/metrics');
+const PartialResponseService = require('./partialResponseService');
+
+// Idle thresholds: an active session with no activity for SESSION_ABANDON_AFTER_MINUTES
+// becomes abandoned; an active or abandoned one idle for SESSION_EXPIRE_AFTER_HOURS
+// becomes expired. Both are well inside IDLE_SESSION_RETENTION_HOURS, after which
+// MongoDB deletes the session.
+const LIFECYCLE_CONFIG = {
+  enabled: process.env.SESSION_LIFECYCLE_ENABLED !== 'false',
+  intervalMinutes: parseInt(process.env.SESSION_LIFECYCLE_INTERVAL_MINUTES) || 5,
+  abandonAfterMinutes: parseInt(process.env.SESSION_ABANDON_AFTER_MINUTES) || 60,
+  expireAfterHours: parseInt(process.env.SESSION_EXPIRE_AFTER_HOURS) || 12,
+  // Most sessions moved per transition per run; the rest wait for the next run
+  batchSize: parseInt(process.env.SESSION_LIFECYCLE_BATCH_SIZE) || 500
+};
+
+let timer = null;
+let running = false;
+
+class SessionLifecycleService {
+
+  // Run the job every intervalMinutes in this process. Call it from one process
+  // only (see onBackgroundJobsElected in config/cluster.js).
+  static start() {
+    if (!LIFECYCLE_CONFIG.enabled || timer) {
+      return;
+    }
+
+    console.log(`⏱️ Session lifecycle job running every ${LIFECYCLE_CONFIG.intervalMinutes} min (abandon after ${LIFECYCLE_CONFIG.abandonAfterMinutes} min, expire after ${LIFECYCLE_CONFIG.expireAfterHours} h)`);
+
+    timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        console.error('❌ Session lifecycle job error:', error);
+      });
+    }, LIFECYCLE_CONFIG.intervalMinutes * 60 * 1000);
+    timer.unref();
+  }
+
+  static stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  // Move one batch of idle sessions through each transition. Expiry runs first so
+  // a long-idle active session goes straight to expired.
+  // Returns { expired: [sessionIds], abandoned: [sessionIds] }.
+  static async runOnce(now = new Date()) {
+    if (running) {
+      return { expired: [], abandoned: [] };
+    }
+
+    running = true;
+    try {
+      const expired = await this.transition('expired', now);
+      const abandoned = await this.transition('abandoned', now);
+
+      const activeCount = await Session.countDocuments({ status: 'active' });
+      updateSessionMetrics(activeCount, 0, abandoned.length);
+
+      if (expired.length > 0 || abandoned.length > 0) {
+        console.log(`🧹 Session lifecycle: ${abandoned.length} abandoned, ${expired.length} expired`);
+      }
+
+      return { expired, abandoned };
+    } finally {
+      running = false;
+    }
+  }
+
+  // Apply one transition to the sessions idle past its threshold, then audit it,
+  // evict the sessions from the cache and capture their partial responses.
+  // Returns the ids that changed status.
+  static async transition(status, now) {
+    const expiring = status === 'expired';
+    const idleBefore = expiring
+      ? new Date(now.getTime() - LIFECYCLE_CONFIG.expireAfterHours * 60 * 60 * 1000)
+      : new Date(now.getTime() - LIFECYCLE_CONFIG.abandonAfterMinutes * 60 * 1000);
+    const fromStatuses = expiring ? ['active', 'abandoned'] : ['active'];
+
+    const candidates = await Session.findIdleSessions(fromStatuses, idleBefore, LIFECYCLE_CONFIG.batchSize);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const candidateIds = candidates.map(session => session.sessionId);
+    const startedAt = new Date();
+
+    // The update re-applies the idle filter, so sessions touched since they were
+    // selected keep their status
+    if (expiring) {
+      await Session.cleanupExpiredSessions(idleBefore, candidateIds);
+    } else {
+      await Session.abandonIdleSessions(idleBefore, candidateIds);
+    }
+
+    const changed = await Session.find({
+      sessionId: { $in: candidateIds },
+      status,
+      [`timestamps.${expiring ? 'expiredAt' : 'abandonedAt'}`]: { $gte: startedAt }
+    }).select('sessionId').lean();
+    const sessionIds = changed.map(session => session.sessionId);
+
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    await auditManager.logEvent({
+      category: 'data_modification',
+      action: 'update',
+      resource: 'session',
+      user: 'system',
+      details: {
+        job: 'session-lifecycle',
+        transition: status,
+        idleBefore: idleBefore.toISOString(),
+        count: sessionIds.length,
+        sessionIds
+      }
+    });
+
+    await Promise.all(sessionIds.map(sessionId => cacheService.delete(cacheService.buildSessionKey(sessionId))));
+
+    // Keep the answers before the TTL index drops the sessions (opt-in)
+    try {
+      await PartialResponseService.capture(sessionIds);
+    } catch (error) {
+      console.error('❌ Partial response capture error:', error);
+    }
+
+    return sessionIds;
+  }
+}
+
+SessionLifecycleService.config = LIFECYCLE_CONFIG;
+
+module.exports = SessionLifecycleService;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes can be read aloud or typed
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// How long an issued resume code stays claimable (hours)
+const RESUME_CODE_TTL_HOURS = parseInt(process.env.RESUME_CODE_TTL_HOURS) || 24;
+
+class SessionResumeService {
+
+  // 'K7QM-2XRD' style code
+  static generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  }
+
+  // Case, spaces and dashes do not matter when a code is typed back in
+  static normalizeCode(code) {
+    return typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+  }
+
+  static hashCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeCode(code)).digest('hex');
+  }
+
+  // Issue a new resume code for an active session, replacing any earlier code.
+  // Returns { code, expiresAt }, or null when the session is not active.
+  static async issue(sessionId) {
+    const code = this.generateCode();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + RESUME_CODE_TTL_HOURS * 60 * 60 * 1000);
+
+    const result = await Session.updateOne(
+      { sessionId, status: 'active' },
+      {
+        $set: { resume: { codeHash: this.hashCode(code), issuedAt, expiresAt } },
+        // Keep the session until the code can no longer be claimed
+        $max: { retainUntil: expiresAt }
+      }
+    );
+
+    return result.matchedCount > 0 ? { code, expiresAt } : null;
+  }
+
+  // Hand a session over to the claiming device (see DeviceDetectionService.fromRequest)
+  // and record the move. The code is cleared in the same
+  // update that records the hand-off, so it can only be claimed once.
+  // Returns the updated session, or null for unknown, expired or used codes.
+  static async claim(code, device) {
+    if (this.normalizeCode(code).length !== CODE_LENGTH) {
+      return null;
+    }
+
+    const codeHash = this.hashCode(code);
+    const session = await Session.findOne({
+      'resume.codeHash': codeHash,
+      'resume.expiresAt': { $gt: new Date() },
+      status: 'active'
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    const previous = session.metadata || {};
+    const handoff = {
+      from: {
+        ipAddress: previous.ipAddress,
+        userAgent: previous.userAgent,
+        deviceType: previous.deviceType,
+        os: previous.os,
+        browser: previous.browser
+      },
+      to: {
+        ipAddress: device.ipAddress,
+        userAgent: device.userAgent,
+        deviceType: device.deviceType,
+        os: device.os,
+        browser: device.browser
+      },
+      claimedAt: new Date()
+    };
+
+    return Session.findOneAndUpdate(
+      { _id: session._id, 'resume.codeHash': codeHash, status: 'active' },
+      {
+        $unset: { resume: 1 },
+        $push: { 'metadata.handoffs': handoff },
+        $set: {
+          ...Object.fromEntries(Object.entries(device).map(([key, value]) => [`metadata.${key}`, value])),
+          'timestamps.lastActivity': handoff.claimedAt,
+          'timestamps.pageEnteredAt': handoff.claimedAt,
+          retainUntil: Session.idleRetainUntil(handoff.claimedAt)
+        }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = SessionResumeService;
@@ -0,0 +1,115 @@
+// Convergence settings for the incomplete gamma function
+const MAX_ITERATIONS = 200;
+const EPSILON = 1e-12;
+const TINY = 1e-300;
+
+// Significance level used to flag chi-square results
+const SIGNIFICANCE_LEVEL = 0.05;
+
+class StatisticsService {
+
+  // ln Γ(x), Lanczos approximation
+  static logGamma(x) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+      series += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+  }
+
+  // Regularized upper incomplete gamma Q(a, x): a series below a + 1, a
+  // continued fraction above it
+  static upperIncompleteGamma(a, x) {
+    if (x <= 0) {
+      return 1;
+    }
+
+    const logPrefix = -x + a * Math.log(x) - this.logGamma(a);
+
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < MAX_ITERATIONS; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+      }
+      return 1 - sum * Math.exp(logPrefix);
+    }
+
+    let b = x + 1 - a;
+    let c = 1 / TINY;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < MAX_ITERATIONS; n++) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < TINY) d = TINY;
+      c = b + an / c;
+      if (Math.abs(c) < TINY) c = TINY;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return Math.exp(logPrefix) * h;
+  }
+
+  // P(X >= statistic) for a chi-square distribution
+  static chiSquarePValue(statistic, degreesOfFreedom) {
+    if (degreesOfFreedom <= 0) {
+      return null;
+    }
+    return Math.min(1, Math.max(0, this.upperIncompleteGamma(degreesOfFreedom / 2, statistic / 2)));
+  }
+
+  // Pearson chi-square test of independence for a table of counts
+  // (counts[row][column]). Rows and columns without any counts are ignored.
+  // Returns { statistic, degreesOfFreedom, pValue, significant, lowExpectedCells },
+  // where lowExpectedCells is the share of cells expected to hold fewer than 5
+  // (the test is unreliable when it exceeds 20%).
+  static chiSquare(counts) {
+    const rowTotals = counts.map(row => row.reduce((sum, count) => sum + count, 0));
+    const columnTotals = (counts[0] || []).map((_, column) => counts.reduce((sum, row) => sum + row[column], 0));
+    const total = rowTotals.reduce((sum, count) => sum + count, 0);
+
+    const rows = rowTotals.map((count, index) => index).filter(index => rowTotals[index] > 0);
+    const columns = columnTotals.map((count, index) => index).filter(index => columnTotals[index] > 0);
+    const degreesOfFreedom = (rows.length - 1) * (columns.length - 1);
+
+    if (total === 0 || degreesOfFreedom <= 0) {
+      return { statistic: null, degreesOfFreedom: Math.max(degreesOfFreedom, 0), pValue: null, significant: false, lowExpectedCells: null };
+    }
+
+    let statistic = 0;
+    let lowCells = 0;
+    for (const row of rows) {
+      for (const column of columns) {
+        const expected = (rowTotals[row] * columnTotals[column]) / total;
+        statistic += Math.pow(counts[row][column] - expected, 2) / expected;
+        if (expected < 5) lowCells++;
+      }
+    }
+
+    const pValue = this.chiSquarePValue(statistic, degreesOfFreedom);
+
+    return {
+      statistic: Math.round(statistic * 1000) / 1000,
+      degreesOfFreedom,
+      pValue: Math.round(pValue * 1e6) / 1e6,
+      significant: pValue < SIGNIFICANCE_LEVEL,
+      lowExpectedCells: Math.round((lowCells / (rows.length * columns.length)) * 10000) / 100
+    };
+  }
+}
+
+StatisticsService.SIGNIFICANCE_LEVEL = SIGNIFICANCE_LEVEL;
+
+module.exports = StatisticsService;
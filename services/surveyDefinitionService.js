@@ -0,0 +1,142 @@
+const SurveyDefinition = require('../models/SurveyDefinition');
+const CatalogueService = require('./catalogueService');
+const { DEFAULT_SURVEY_DEFINITION } = require('../config/surveyDefinition');
+
+// How long a worker keeps the active definition before re-reading it (seconds)
+const DEFINITION_CACHE_TTL = parseInt(process.env.SURVEY_DEFINITION_CACHE_TTL) || 60;
+
+// Published definitions never change, so they are cached per version indefinitely
+const versionCache = new Map();
+let activeDefinition = null;
+let activeLoadedAt = 0;
+
+class SurveyDefinitionService {
+
+  // Get the definition new sessions and submissions are answered against.
+  // Catalogue-backed questions get their current catalogue options attached.
+  static async getActiveDefinition() {
+    try {
+      const isFresh = activeDefinition && (Date.now() - activeLoadedAt) < DEFINITION_CACHE_TTL * 1000;
+      if (isFresh) {
+        return CatalogueService.applyCatalogues(activeDefinition);
+      }
+
+      let definition = await SurveyDefinition.findActive();
+
+      if (!definition) {
+        definition = await this.seedDefaultDefinition();
+      }
+
+      activeDefinition = definition;
+      activeLoadedAt = Date.now();
+      versionCache.set(definition.version, definition);
+
+      return CatalogueService.applyCatalogues(definition);
+
+    } catch (error) {
+      console.error('❌ Error loading active survey definition:', error);
+      throw error;
+    }
+  }
+
+  // Get a specific definition version, falling back to the active one for legacy records
+  static async getDefinition(version) {
+    if (!version) {
+      return this.getActiveDefinition();
+    }
+
+    const definition = await this.findDefinition(version);
+
+    if (!definition) {
+      console.warn(`⚠️ Survey definition v${version} not found, using active definition`);
+      return this.getActiveDefinition();
+    }
+
+    return definition;
+  }
+
+  // Get a specific definition version, or null when it does not exist
+  static async findDefinition(version) {
+    if (versionCache.has(version)) {
+      return CatalogueService.applyCatalogues(versionCache.get(version));
+    }
+
+    const definition = await SurveyDefinition.findByVersion(version);
+
+    if (!definition) {
+      return null;
+    }
+
+    if (definition.status !== 'draft') {
+      versionCache.set(version, definition);
+    }
+
+    return CatalogueService.applyCatalogues(definition);
+  }
+
+  // Create the built-in question set when the collection is empty
+  static async seedDefaultDefinition() {
+    const existing = await SurveyDefinition.findByVersion(DEFAULT_SURVEY_DEFINITION.version);
+    if (existing) {
+      return existing;
+    }
+
+    const definition = new SurveyDefinition({
+      ...DEFAULT_SURVEY_DEFINITION,
+      publishedAt: new Date()
+    });
+    await definition.save();
+
+    console.log(`✅ Seeded default survey definition v${definition.version}`);
+    return definition;
+  }
+
+  // Create a new draft definition with the next version number
+  static async createDraft(data) {
+    const latestVersion = await SurveyDefinition.getLatestVersion();
+
+    const definition = new SurveyDefinition({
+      name: data.name,
+      pages: data.pages,
+      questions: data.questions,
+      translations: data.translations,
+      version: latestVersion + 1,
+      status: 'draft'
+    });
+    await definition.save();
+
+    return definition;
+  }
+
+  // Publish a definition; the previously active one is retired
+  static async activate(version) {
+    const definition = await SurveyDefinition.findByVersion(version);
+
+    if (!definition) {
+      return null;
+    }
+
+    await SurveyDefinition.updateMany(
+      { status: 'active', version: { $ne: version } },
+      { $set: { status: 'retired' } }
+    );
+
+    definition.status = 'active';
+    definition.publishedAt = definition.publishedAt || new Date();
+    await definition.save();
+
+    this.clearCache();
+    console.log(`✅ Survey definition v${version} activated`);
+
+    return CatalogueService.applyCatalogues(definition);
+  }
+
+  // Drop cached definitions so the next read goes to the database
+  static clearCache() {
+    versionCache.clear();
+    activeDefinition = null;
+    activeLoadedAt = 0;
+  }
+}
+
+module.exports = SurveyDefinitionService;
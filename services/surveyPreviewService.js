@@ -0,0 +1,74 @@
+const Survey = require('../models/Survey');
+const Analytics = require('../models/Analytics');
+const AnalyticsService = require('./analyticsService');
+const AnswerValidationService = require('./answerValidationService');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { ANALYTICS_SECTIONS } = require('../config/surveyDefinition');
+
+// Non-zero leaf counters of a counter tree as [{ path: 'a.b.c', value }]
+const flattenCounters = (node, prefix) => {
+  const entries = [];
+  for (const [key, value] of Object.entries(node || {})) {
+    const path = [...prefix, key];
+    if (value && typeof value === 'object') {
+      entries.push(...flattenCounters(value, path));
+    } else if (typeof value === 'number' && value !== 0) {
+      entries.push({ path: path.join('.'), value });
+    }
+  }
+  return entries;
+};
+
+class SurveyPreviewService {
+
+  // Dry-run a sample answer set against a definition: the same sanitization,
+  // validation and analytics bucketing a real submission gets, without saving.
+  static async preview(definition, input, { locale = DEFAULT_LOCALE } = {}) {
+    const { answers, errors, missing } = AnswerValidationService.prepareSubmission(definition, input);
+
+    // Document a submission would store (never saved)
+    const survey = new Survey({
+      answers,
+      definitionVersion: definition.version,
+      locale,
+      submittedAt: new Date()
+    });
+    const schemaError = survey.validateSync();
+
+    // Count it into a throwaway Analytics document exactly as analytics generation would
+    const analytics = new Analytics({ date: new Date(), type: 'daily' });
+    AnalyticsService.resetCounters(analytics, definition);
+    await AnalyticsService.processSurveyData(analytics, survey, definition);
+
+    const counters = analytics.toObject();
+    const counted = [...ANALYTICS_SECTIONS, 'locales']
+      .flatMap(section => flattenCounters(counters[section], [section]));
+
+    // Answered questions that do not reach any analytics bucket
+    const notCounted = definition.questions
+      .filter(question => definition.isAnswered(question, answers))
+      .filter(question => !question.analytics || !question.analytics.path)
+      .map(question => ({ field: question.key, reason: 'no_analytics_path' }));
+
+    const stored = survey.toObject();
+    delete stored._id;
+
+    return {
+      accepted: errors.length === 0 && missing.length === 0 && !schemaError,
+      errors,
+      missingAnswers: missing,
+      schemaErrors: schemaError ? Object.values(schemaError.errors).map(error => ({
+        field: error.path,
+        message: error.message
+      })) : [],
+      pagePath: definition.getPagePath(answers),
+      stored,
+      analytics: {
+        counted,
+        notCounted
+      }
+    };
+  }
+}
+
+module.exports = SurveyPreviewService;
@@ -0,0 +1,175 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('../middleware/idempotency');
+
+// Idempotency records kept in memory, unique on scope and key like the collection
+let records;
+
+const find = (filter) => records.find(record =>
+  (filter._id ? String(record._id) === String(filter._id) : record.scope === filter.scope && record.key === filter.key) &&
+  (!filter.status || record.status === filter.status)
+);
+
+beforeEach(() => {
+  records = [];
+
+  // Keep the middleware's logs out of the test output
+  mock.method(console, 'log', () => {});
+
+  mock.method(IdempotencyKey, 'create', async (fields) => {
+    if (find(fields)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = { _id: new mongoose.Types.ObjectId(), status: 'pending', updatedAt: new Date(), ...fields };
+    records.push(record);
+    return record;
+  });
+  mock.method(IdempotencyKey, 'findOne', async (filter) => find(filter) || null);
+  mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+    Object.assign(find(filter), update, { updatedAt: new Date() });
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+    const record = find(filter);
+    records = records.filter(item => item !== record);
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const request = (body, key, path = '/submit') => ({
+  method: 'POST',
+  baseUrl: '/api/survey',
+  path,
+  body,
+  get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+});
+
+const response = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  return res;
+};
+
+// Runs the middleware in front of a submit handler that counts its calls;
+// `respond` decides the handler's response
+const handle = async (req, respond = (res, calls) => res.status(201).json({ success: true, data: { surveyId: calls } })) => {
+  const res = response();
+  await idempotency(req, res, () => {
+    handle.calls += 1;
+    respond(res, handle.calls);
+  });
+  // The response is sent once the record is written
+  await new Promise(resolve => setImmediate(resolve));
+  return res;
+};
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    handle.calls = 0;
+  });
+
+  it('processes requests without a key normally', async () => {
+    await handle(request({ a: 1 }));
+    await handle(request({ a: 1 }));
+
+    assert.equal(handle.calls, 2);
+    assert.equal(records.length, 0);
+  });
+
+  it('rejects keys longer than 255 characters', async () => {
+    const res = await handle(request({ a: 1 }, 'k'.repeat(256)));
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(handle.calls, 0);
+  });
+
+  it('replays the stored response to a retry with the same key and body', async () => {
+    const first = await handle(request({ a: 1 }, 'key-1'));
+    const retry = await handle(request({ a: 1 }, 'key-1'));
+
+    assert.equal(handle.calls, 1);
+    assert.equal(retry.statusCode, 201);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('sends the response only once it is stored, so an immediate retry is replayed', async () => {
+    // A slow write, so the retry would overtake it if the response went out first
+    mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      Object.assign(find(filter), update, { updatedAt: new Date() });
+    });
+
+    const res = response();
+    const send = res.json;
+    let retry;
+    res.json = (body) => {
+      send(body);
+      retry = handle(request({ a: 1 }, 'key-1'));
+      return res;
+    };
+    await idempotency(request({ a: 1 }, 'key-1'), res, () => res.status(201).json({ success: true }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.equal(res.statusCode, 201);
+    assert.equal((await retry).headers['Idempotent-Replayed'], 'true');
+    assert.equal(handle.calls, 0);
+  });
+
+  it('answers 422 idempotency_key_reused for the same key with a different body', async () => {
+    await handle(request({ a: 1 }, 'key-1'));
+    const res = await handle(request({ a: 2 }, 'key-1'));
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.code, 'idempotency_key_reused');
+    assert.equal(handle.calls, 1);
+  });
+
+  it('answers 409 request_in_progress while the first request is still running', async () => {
+    // The first request has not responded yet
+    await handle(request({ a: 1 }, 'key-1'), () => {});
+    const res = await handle(request({ a: 1 }, 'key-1'));
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'request_in_progress');
+    assert.equal(handle.calls, 1);
+  });
+
+  it('takes over a request that has been pending too long', async () => {
+    await handle(request({ a: 1 }, 'key-1'), () => {});
+    records[0].updatedAt = new Date(Date.now() - 2 * 60 * 1000);
+
+    const res = await handle(request({ a: 1 }, 'key-1'));
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(handle.calls, 2);
+    assert.equal(records[0].status, 'completed');
+  });
+
+  it('does not store failed responses, so the request can be retried', async () => {
+    const failed = await handle(request({ a: 1 }, 'key-1'), res => res.status(422).json({ success: false }));
+    assert.equal(failed.statusCode, 422);
+    assert.equal(records.length, 0);
+
+    const retry = await handle(request({ a: 1 }, 'key-1'));
+
+    assert.equal(retry.statusCode, 201);
+    assert.equal(retry.headers['Idempotent-Replayed'], undefined);
+    assert.equal(handle.calls, 2);
+  });
+
+  it('keeps keys separate per endpoint', async () => {
+    await handle(request({ a: 1 }, 'key-1', '/submit'));
+    const res = await handle(request({ a: 1 }, 'key-1', '/other'));
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.headers['Idempotent-Replayed'], undefined);
+    assert.equal(handle.calls, 2);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Quota = require('../models/Quota');
+const SurveyDefinition = require('../models/SurveyDefinition');
+const QuotaService = require('../services/quotaService');
+const { DEFAULT_SURVEY_DEFINITION } = require('../config/surveyDefinition');
+
+const definition = new SurveyDefinition(DEFAULT_SURVEY_DEFINITION);
+const answers = { university: 'uol', gender: 'female' };
+
+// Quotas kept in memory; the stubs apply the same conditional updates Mongo would
+let quotas;
+
+const quota = (fields) => new Quota({ name: 'Cell', limit: 2, ...fields });
+const stored = (id) => quotas.find(item => item._id.equals(id));
+
+beforeEach(() => {
+  quotas = [];
+
+  mock.method(Quota, 'findApplicable', async () => quotas.map(item => new Quota(item.toObject())));
+  mock.method(Quota, 'findOneAndUpdate', async (filter) => {
+    const item = stored(filter._id);
+    if (!item || item.status !== 'open' || item.count >= item.limit) return null;
+    item.count += 1;
+    return new Quota(item.toObject());
+  });
+  mock.method(Quota, 'updateOne', async (filter, update) => {
+    const item = stored(filter._id);
+    if (item && item.status === filter.status) Object.assign(item, update);
+    return { modifiedCount: item ? 1 : 0 };
+  });
+  mock.method(Quota, 'updateMany', async (filter) => {
+    filter._id.$in.forEach(id => {
+      const item = stored(id);
+      if (item.count > 0) item.count -= 1;
+    });
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('QuotaService.reserve', () => {
+  it('counts a submission against every cell it falls into', async () => {
+    quotas.push(
+      quota({ conditions: [{ field: 'university', value: 'uol' }] }),
+      quota({ conditions: [{ field: 'gender', value: 'female' }] }),
+      quota({ conditions: [{ field: 'gender', value: 'male' }] })
+    );
+
+    const result = await QuotaService.reserve(definition, answers);
+
+    assert.deepEqual(result.reserved.map(String), [quotas[0]._id, quotas[1]._id].map(String));
+    assert.deepEqual(result.flagged, []);
+    assert.deepEqual(quotas.map(item => item.count), [1, 1, 0]);
+  });
+
+  it('rejects a full cell and releases the cells already reserved', async () => {
+    quotas.push(
+      quota({ name: 'University', conditions: [{ field: 'university', value: 'uol' }] }),
+      quota({ name: 'Women', limit: 1, count: 1, conditions: [{ field: 'gender', value: 'female' }] })
+    );
+
+    const result = await QuotaService.reserve(definition, answers);
+
+    assert.equal(result.error.status, 409);
+    assert.equal(result.error.code, 'quota_full');
+    assert.equal(String(result.error.quotaId), String(quotas[1]._id));
+    assert.deepEqual(quotas.map(item => item.count), [0, 1]);
+  });
+
+  it('accepts a response for a full flagging cell and flags it', async () => {
+    quotas.push(quota({ action: 'flag', limit: 1, count: 1 }));
+
+    const result = await QuotaService.reserve(definition, answers);
+
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.reserved, []);
+    assert.deepEqual(result.flagged.map(String), [String(quotas[0]._id)]);
+  });
+
+  it('closes a closing cell once it fills and refuses the next response', async () => {
+    quotas.push(quota({ action: 'close', limit: 1 }));
+
+    const first = await QuotaService.reserve(definition, answers);
+    assert.equal(first.reserved.length, 1);
+    assert.equal(quotas[0].status, 'closed');
+
+    const second = await QuotaService.reserve(definition, answers);
+    assert.equal(second.error.code, 'quota_full');
+    assert.equal(quotas[0].count, 1);
+  });
+
+  it('reserves with an update that only matches an open cell below its limit', async () => {
+    quotas.push(quota({}));
+
+    await QuotaService.reserve(definition, answers);
+
+    const [filter, update] = Quota.findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(String(filter._id), String(quotas[0]._id));
+    assert.equal(filter.status, 'open');
+    assert.deepEqual(filter.$expr, { $lt: ['$count', '$limit'] });
+    assert.deepEqual(update, { $inc: { count: 1 } });
+  });
+
+  it('never fills a cell past its limit under concurrent submissions', async () => {
+    quotas.push(quota({ limit: 3 }));
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => QuotaService.reserve(definition, answers)));
+
+    assert.equal(results.filter(result => !result.error).length, 3);
+    assert.equal(quotas[0].count, 3);
+  });
+});
+
+describe('QuotaService.release', () => {
+  it('gives back reservations without going below zero', async () => {
+    quotas.push(quota({ count: 1 }), quota({ count: 0 }));
+
+    await QuotaService.release(quotas.map(item => item._id));
+
+    assert.deepEqual(quotas.map(item => item.count), [0, 0]);
+  });
+});
+
+describe('QuotaService.checkAvailability', () => {
+  it('refuses early only for full cells the known answers fall into', async () => {
+    quotas.push(quota({ limit: 1, count: 1, conditions: [{ field: 'gender', value: 'female' }] }));
+
+    assert.equal((await QuotaService.checkAvailability(definition, { university: 'uol' })).error, undefined);
+    assert.equal((await QuotaService.checkAvailability(definition, answers)).error.code, 'quota_full');
+  });
+});
+
+describe('QuotaService.buildSurveyFilter', () => {
+  it('matches the cell conditions against the stored answers', () => {
+    const cell = quota({ conditions: [{ field: 'university', value: 'uol' }] });
+
+    const filter = QuotaService.buildSurveyFilter(cell);
+
+    assert.equal(filter['answers.university'], 'uol');
+    assert.deepEqual(filter.quotaFlags, { $ne: cell._id });
+  });
+});
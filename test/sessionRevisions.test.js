@@ -0,0 +1,257 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Survey = require('../models/Survey');
+const SurveyDefinition = require('../models/SurveyDefinition');
+const SurveyDefinitionService = require('../services/surveyDefinitionService');
+const AnswerValidationService = require('../services/answerValidationService');
+const CampaignService = require('../services/campaignService');
+const QuotaService = require('../services/quotaService');
+const AnalyticsService = require('../services/analyticsService');
+const { auditManager } = require('../middleware/audit');
+const { DEFAULT_SURVEY_DEFINITION } = require('../config/surveyDefinition');
+const sessionRoutes = require('../routes/session');
+
+const definition = new SurveyDefinition(DEFAULT_SURVEY_DEFINITION);
+
+// The handler of a route, without its rate limiting and session middleware
+const handlerOf = (method, path) => sessionRoutes.stack
+  .find(layer => layer.route && layer.route.path === path && layer.route.methods[method])
+  .route.stack.at(-1).handle;
+
+const saveProgress = handlerOf('put', '/:sessionId/save-progress');
+const submit = handlerOf('post', '/:sessionId/submit');
+
+const request = (body = {}, headers = {}) => ({
+  params: { sessionId: 'session-1' },
+  body,
+  method: 'POST',
+  originalUrl: '/api/session/session-1',
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const response = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  return res;
+};
+
+const sessionId = new mongoose.Types.ObjectId();
+
+const sessionAt = (revision, fields = {}) => ({
+  _id: sessionId,
+  sessionId: 'session-1',
+  status: 'active',
+  revision,
+  currentPage: 1,
+  totalPages: 8,
+  surveyData: definition.buildEmptyAnswers(),
+  metadata: {},
+  timestamps: { createdAt: new Date(), lastActivity: new Date(), pageEnteredAt: new Date() },
+  ...fields
+});
+
+// The database is not emulated: each stubbed query answers with the next of the
+// given results, and the tests check the filters and updates the handlers send
+const answers = (results) => () => {
+  const result = results.shift();
+  const chain = {
+    lean: () => { chain.isLean = true; return chain; },
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result && !chain.isLean ? Session.hydrate(result) : result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const stubSession = ({ findOne = [], findOneAndUpdate = [] }) => {
+  mock.method(Session, 'findOne', answers(findOne));
+  mock.method(Session, 'findOneAndUpdate', answers(findOneAndUpdate));
+};
+
+const sent = (method, call = 0) => {
+  const [filter, update] = Session[method].mock.calls[call].arguments;
+  return { filter, update };
+};
+
+const isLockFree = (filter) => Array.isArray(filter.$or) &&
+  filter.$or.some(branch => branch.submitLockedUntil === null) &&
+  filter.$or.some(branch => branch.submitLockedUntil && branch.submitLockedUntil.$lt instanceof Date);
+
+beforeEach(() => {
+  // Keep the routes' logs out of the test output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(SurveyDefinitionService, 'getDefinition', async () => definition);
+  mock.method(AnswerValidationService, 'prepareSubmission', (_definition, surveyData) => ({ answers: surveyData, errors: [], missing: [] }));
+  mock.method(CampaignService, 'checkAcceptingResponses', async () => ({}));
+  mock.method(QuotaService, 'reserve', async () => ({ reserved: [], flagged: [] }));
+  mock.method(QuotaService, 'release', async () => {});
+  mock.method(AnalyticsService, 'recordSubmission', async () => {});
+  mock.method(auditManager, 'logEvent', async () => {});
+  mock.method(Survey.prototype, 'save', async function() { return this; });
+  mock.method(Survey, 'deleteOne', async () => ({ deletedCount: 1 }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('PUT /api/session/:sessionId/save-progress', () => {
+  const body = { page: 1, partial: true, data: { gender: 'female' } };
+
+  it('writes only while the session is at the revision read and advances it', async () => {
+    stubSession({ findOne: [sessionAt(2)], findOneAndUpdate: [sessionAt(3)] });
+
+    const res = response();
+    await saveProgress(request(body, { 'if-match': '"2"' }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.revision, 3);
+    assert.equal(res.headers.ETag, '"3"');
+
+    const { filter, update } = sent('findOneAndUpdate');
+    assert.equal(filter.sessionId, 'session-1');
+    assert.equal(filter.status, 'active');
+    assert.equal(filter.revision, 2);
+    assert.ok(isLockFree(filter));
+    assert.deepEqual(update.$inc, { revision: 1 });
+    assert.equal(update.$set.surveyData.gender, 'female');
+  });
+
+  it('answers 409 revision_conflict with the current state for a stale If-Match', async () => {
+    stubSession({ findOne: [sessionAt(2)] });
+
+    const res = response();
+    await saveProgress(request(body, { 'if-match': '"1"' }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'revision_conflict');
+    assert.equal(res.body.data.revision, 2);
+    assert.equal(res.headers.ETag, '"2"');
+    assert.equal(Session.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('answers 409 revision_conflict when another save lands between the read and the write', async () => {
+    stubSession({ findOne: [sessionAt(2), sessionAt(3)], findOneAndUpdate: [null] });
+
+    const res = response();
+    await saveProgress(request(body, { 'if-match': '"2"' }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'revision_conflict');
+    assert.equal(res.body.data.revision, 3);
+    assert.equal(Session.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it('re-reads and retries a save without a precondition after a concurrent save', async () => {
+    stubSession({ findOne: [sessionAt(2), sessionAt(3)], findOneAndUpdate: [null, sessionAt(4)] });
+
+    const res = response();
+    await saveProgress(request(body), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.revision, 4);
+    assert.equal(sent('findOneAndUpdate', 0).filter.revision, 2);
+    assert.equal(sent('findOneAndUpdate', 1).filter.revision, 3);
+  });
+
+  it('refuses saves while a submit holds the session', async () => {
+    stubSession({ findOne: [sessionAt(2, { submitLockedUntil: new Date(Date.now() + 30000) })] });
+
+    const res = response();
+    await saveProgress(request(body), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'submit_in_progress');
+    assert.equal(Session.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
+
+describe('POST /api/session/:sessionId/submit', () => {
+  const locked = () => sessionAt(2, { submitLockedUntil: new Date(Date.now() + 30000) });
+
+  it('locks the session before reading it and completes it at the next revision', async () => {
+    stubSession({ findOneAndUpdate: [locked(), sessionAt(3, { status: 'completed' })] });
+
+    const res = response();
+    await submit(request({}, { 'if-match': '"2"' }), res);
+
+    assert.equal(res.statusCode, 201);
+
+    const lock = sent('findOneAndUpdate', 0);
+    assert.equal(lock.filter.sessionId, 'session-1');
+    assert.equal(lock.filter.status, 'active');
+    assert.ok(isLockFree(lock.filter));
+    assert.ok(lock.update.$set.submitLockedUntil instanceof Date);
+
+    const completion = sent('findOneAndUpdate', 1);
+    assert.equal(String(completion.filter._id), String(sessionId));
+    assert.equal(completion.filter.status, 'active');
+    assert.equal(completion.filter.revision, 2);
+    assert.deepEqual(completion.update.$inc, { revision: 1 });
+    assert.deepEqual(completion.update.$unset, { submitLockedUntil: 1 });
+    assert.equal(completion.update.$set.status, 'completed');
+    assert.equal(String(completion.update.$set.surveyId), String(res.body.data.surveyId));
+
+    const saved = Survey.prototype.save.mock.calls[0].this;
+    assert.deepEqual(saved.answers, definition.buildEmptyAnswers());
+    assert.equal(saved.definitionVersion, definition.version);
+  });
+
+  it('replays the original response for a session already submitted', async () => {
+    const surveyId = new mongoose.Types.ObjectId();
+    stubSession({ findOneAndUpdate: [null], findOne: [sessionAt(3, { status: 'completed', surveyId })] });
+    mock.method(Survey, 'findById', () => ({ select: async () => ({ _id: surveyId, submittedAt: new Date(), overQuota: false }) }));
+
+    const res = response();
+    await submit(request(), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.headers['Idempotent-Replayed'], 'true');
+    assert.equal(String(res.body.data.surveyId), String(surveyId));
+    assert.equal(Survey.prototype.save.mock.callCount(), 0);
+  });
+
+  it('answers 409 revision_conflict for a stale If-Match and releases the lock', async () => {
+    stubSession({ findOneAndUpdate: [locked()] });
+
+    const res = response();
+    await submit(request({}, { 'if-match': '"1"' }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'revision_conflict');
+    assert.deepEqual(Session.updateOne.mock.calls[0].arguments[1], { $unset: { submitLockedUntil: 1 } });
+    assert.equal(Survey.prototype.save.mock.callCount(), 0);
+  });
+
+  it('answers 409 submit_in_progress while another submit holds the session', async () => {
+    stubSession({ findOneAndUpdate: [null], findOne: [locked()] });
+
+    const res = response();
+    await submit(request(), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'submit_in_progress');
+    assert.equal(Survey.prototype.save.mock.callCount(), 0);
+  });
+
+  it('withdraws the survey when the session changed before it could be completed', async () => {
+    stubSession({ findOneAndUpdate: [locked(), null], findOne: [sessionAt(3)] });
+
+    const res = response();
+    await submit(request(), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'revision_conflict');
+    assert.equal(res.body.data.revision, 3);
+    assert.equal(Survey.deleteOne.mock.callCount(), 1);
+    assert.equal(QuotaService.release.mock.callCount(), 1);
+    assert.deepEqual(Session.updateOne.mock.calls[0].arguments[1], { $unset: { submitLockedUntil: 1 } });
+    assert.equal(AnalyticsService.recordSubmission.mock.callCount(), 0);
+  });
+});